@@ -0,0 +1,128 @@
+// ScreenReader: keeps a board's labels up to date and says what happens on it.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+//
+// The letters on a board float over it, so screen readers are pointed at the homes and rows
+// instead: each row is labelled with its spelling so far, like "blank, blank, a, n", and each
+// home with its letter or "blank". What happens is said through a live region, e.g. "t" as a
+// letter is put down and then "tan, correct!". Anything said during one event is said
+// together, so that the letter and the result don't cut each other off.
+//
+function ScreenReader() {}
+// Make an observer for Launcher.addObserver.
+ScreenReader.prototype.observer = function(desc) {
+    return new BoardAnnouncer();
+}
+
+function BoardAnnouncer() {
+    this._groups = [];
+    this._attached = false;
+    this._batch = 0;
+    this._messages = [];
+    this._results = [];
+    this._timer = null;
+}
+BoardAnnouncer.prototype.attach = function(items) {
+    this._groups = items.groups;
+    this._region = document.createElement('div');
+    this._region.className = 'screen-reader-only';
+    this._region.setAttribute('role', 'status');
+    this._region.setAttribute('aria-live', 'polite');
+    this._region.setAttribute('aria-atomic', 'true');
+    items.board.appendChild(this._region);
+    for (var i = 0; i < this._groups.length; i++) {
+        this._groups[i].element.setAttribute('role', 'group');
+        this._label(this._groups[i]);
+    }
+    var self = this;
+    items.on('letterplaced', function(letter, from, to) { self._letterPlaced(letter, from, to); });
+    items.on('letterdeleted', function(letter, from) { self._letterDeleted(letter, from); });
+    items.on('movesstarted', function() { self._batch++; });
+    items.on('movesended', function() { self._batch--; });
+    items.on('groupcomplete', function(group) {
+        self._label(group);
+        self._say(group.word() + ', correct!', true);
+    });
+    items.on('groupduplicate', function(group) {
+        self._label(group);
+        self._say(group.word() + ' is already used', true);
+    });
+    items.on('groupunmatched', function(group) { self._label(group); });
+    items.on('boardcomplete', function() { self._say('The whole board is done!', true); });
+    this._attached = true;
+}
+BoardAnnouncer.prototype.detach = function() {
+    this._attached = false;
+    if (this._timer) window.clearTimeout(this._timer);
+}
+// Label a row with what's in it. Words in a sentence without any blanks are read as words,
+// and the one with blanks is read a letter at a time.
+BoardAnnouncer.prototype._label = function(group) {
+    var homes = group.homes();
+    var parts = [];
+    var words = group.element.querySelectorAll('.word');
+    for (var w = 0; w < words.length; w++) {
+        var spelled = [];
+        var hasHome = false;
+        for (var i = 0; i < words[w].childNodes.length; i++) {
+            var child = words[w].childNodes[i];
+            if (child.classList && child.classList.contains('home')) {
+                hasHome = true;
+                var text = null;
+                for (var h = 0; h < homes.length; h++)
+                    if (homes[h].element() == child) text = homes[h].text();
+                child.setAttribute('aria-label', text || 'blank');
+                spelled.push(text || 'blank');
+            } else {
+                spelled.push(child.textContent);
+            }
+        }
+        parts.push(hasHome ? spelled.join(', ') : spelled.join(''));
+    }
+    var label = parts.join(', ');
+    if (group.state() == 'correct') label += ', correct';
+    else if (group.state() == 'duplicate') label += ', already used';
+    group.element.setAttribute('aria-label', label);
+}
+BoardAnnouncer.prototype._groupFor = function(home) {
+    for (var i = 0; i < this._groups.length; i++)
+        if (this._groups[i].homes().indexOf(home) != -1) return this._groups[i];
+    return null;
+}
+// Say something once the current event is over. Whether a group is right is said after the
+// letters, even though groups hear about their new letter before we do.
+BoardAnnouncer.prototype._say = function(message, isResult) {
+    if (!this._attached) return;
+    if (isResult) this._results.push(message);
+    else this._messages.push(message);
+    if (this._timer) return;
+    var self = this;
+    this._timer = window.setTimeout(function() {
+        self._timer = null;
+        // Clear it first so that saying the same thing twice is still a change.
+        self._region.textContent = '';
+        self._region.textContent = self._messages.concat(self._results).join('. ');
+        self._messages = [];
+        self._results = [];
+    }, 0);
+}
+BoardAnnouncer.prototype._letterPlaced = function(letter, from, to) {
+    var groups = [this._groupFor(from), this._groupFor(to)];
+    for (var i = 0; i < groups.length; i++)
+        if (groups[i]) this._label(groups[i]);
+    // Moving lots of letters at once (like clearing the board) would be a lot to listen to.
+    if (this._batch) return;
+    if (groups[1]) this._say(letter.text());
+    else if (groups[0]) this._say(letter.text() + ' taken out');
+}
+BoardAnnouncer.prototype._letterDeleted = function(letter, from) {
+    var group = this._groupFor(from);
+    if (group) this._label(group);
+    this._say(letter.text() + ' thrown away');
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.ScreenReader = ScreenReader;
+})();
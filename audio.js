@@ -0,0 +1,261 @@
+// Sounds: letter sounds, words and reward cues.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+var AudioContext = window.AudioContext || window.webkitAudioContext;
+
+//
+// Cues are made up on the fly from a few notes so that they don't need any files, which
+// also means that they're always ready to go. Each note is [frequency, start, duration]
+// with the times in seconds.
+//
+var CUES = {
+    match:     [[523.25, 0, 0.12], [659.25, 0.1, 0.12], [783.99, 0.2, 0.12], [1046.5, 0.3, 0.3]],
+    duplicate: [[440, 0, 0.12], [440, 0.18, 0.12]],
+    nomatch:   [[329.63, 0, 0.18], [261.63, 0.16, 0.3]],
+    complete:  [[523.25, 0, 0.15], [523.25, 0.15, 0.15], [523.25, 0.3, 0.15], [659.25, 0.45, 0.3],
+                [587.33, 0.75, 0.15], [659.25, 0.9, 0.15], [783.99, 1.05, 0.2], [1046.5, 1.25, 0.6]]
+};
+// How long to wait after the match cue before saying the word. speech.js waits as long.
+var WORD_DELAY = 450;
+// What to have the speech synthesizer say for a tile that has no recording, so that it says
+// the tile's sound rather than its name ("mmm", not "em"). These are only rough; recordings
+// are much better. Tiles that aren't here, like blends, aren't said at all.
+var PHONEMES = {
+    a: 'aa', e: 'eh', i: 'ih', o: 'aw', u: 'uh',
+    b: 'buh', c: 'kuh', d: 'duh', f: 'fff', g: 'guh', h: 'huh', j: 'juh', k: 'kuh', l: 'lll',
+    m: 'mmm', n: 'nnn', p: 'puh', q: 'kwuh', r: 'rrr', s: 'sss', t: 'tuh', v: 'vvv', w: 'wuh',
+    x: 'ks', y: 'yuh', z: 'zzz',
+    ch: 'chuh', sh: 'shh', th: 'thh', wh: 'wuh', ck: 'kuh', qu: 'kwuh'
+};
+// The first of these unlocks sound (see Sounds).
+var UNLOCK_EVENTS = ['touchend', 'click', 'keydown'];
+
+//
+// Sounds plays clips and cues, keeping the decoded clips around so that playing them again
+// doesn't lag. Muting is remembered in the store and applies everywhere. Letters that don't
+// have a clip have their sound said by the speaker (see speech.js and sayTile) instead.
+//
+function Sounds(store, speaker) {
+    this._store = store || new TBoard.Store();
+    this._speaker = speaker || null;
+    this._muted = this._store.get('sounds.muted', false);
+    this._clips = {};
+    this._waiting = {};
+    this._muteButtons = [];
+    this._context = AudioContext ? new AudioContext() : null;
+
+    // Browsers won't make any sound until the page has been touched, clicked or typed on, and
+    // iOS also wants something played from inside that event, so resume the context and play
+    // a silent sound on the first one.
+    var self = this;
+    function unlock() {
+        for (var i = 0; i < UNLOCK_EVENTS.length; i++)
+            document.removeEventListener(UNLOCK_EVENTS[i], unlock, true);
+        if (!self._context) return;
+        self._resume();
+        var source = self._context.createBufferSource();
+        source.buffer = self._context.createBuffer(1, 1, 22050);
+        source.connect(self._context.destination);
+        start(source, 0);
+    }
+    for (var i = 0; i < UNLOCK_EVENTS.length; i++)
+        document.addEventListener(UNLOCK_EVENTS[i], unlock, true);
+}
+// Older WebKit has noteOn/noteOff and createGainNode instead of the newer names.
+function start(node, when) {
+    if (node.start) node.start(when);
+    else node.noteOn(when);
+}
+function stop(node, when) {
+    if (node.stop) node.stop(when);
+    else node.noteOff(when);
+}
+// The context can also be suspended again later (iOS does it when another app plays sound).
+Sounds.prototype._resume = function() {
+    if (this._context && this._context.state == 'suspended' && this._context.resume) this._context.resume();
+}
+Sounds.prototype.muted = function() { return this._muted; }
+Sounds.prototype.setMuted = function(muted) {
+    this._muted = muted;
+    this._store.set('sounds.muted', muted);
+    for (var i = 0; i < this._muteButtons.length; i++) this._updateMuteButton(this._muteButtons[i]);
+}
+// Start loading a clip so that it's ready when it's needed.
+Sounds.prototype.preload = function(url) {
+    if (!url || this._clips.hasOwnProperty(url) || this._waiting.hasOwnProperty(url)) return;
+    this._waiting[url] = [];
+    var self = this;
+    function loaded(clip) {
+        self._clips[url] = clip;
+        var waiting = self._waiting[url];
+        delete self._waiting[url];
+        for (var i = 0; i < waiting.length; i++) waiting[i]();
+    }
+    if (!this._context) {
+        // No Web Audio; an <audio> element will have to do.
+        var audio = new Audio();
+        audio.preload = 'auto';
+        audio.src = url;
+        audio.load();
+        loaded(audio);
+        return;
+    }
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', url, true);
+    xhr.responseType = 'arraybuffer';
+    xhr.onload = function() {
+        self._context.decodeAudioData(xhr.response, loaded, function() { loaded(null); });
+    };
+    xhr.onerror = function() { loaded(null); };
+    xhr.send(null);
+}
+// Play a clip, loading it first if it hasn't been preloaded.
+Sounds.prototype.play = function(url) {
+    if (!url || this._muted) return;
+    if (this._waiting.hasOwnProperty(url)) {
+        var self = this;
+        this._waiting[url].push(function() { self.play(url); });
+        return;
+    }
+    if (!this._clips.hasOwnProperty(url)) {
+        this.preload(url);
+        this.play(url);
+        return;
+    }
+    var clip = this._clips[url];
+    if (!clip) return;
+    if (!this._context) {
+        clip.currentTime = 0;
+        clip.play();
+        return;
+    }
+    this._resume();
+    var source = this._context.createBufferSource();
+    source.buffer = clip;
+    source.connect(this._context.destination);
+    start(source, 0);
+}
+// Play one of the built-in cues: 'match', 'duplicate', 'nomatch' or 'complete'.
+Sounds.prototype.cue = function(name) {
+    if (this._muted || !this._context || !CUES.hasOwnProperty(name)) return;
+    this._resume();
+    var notes = CUES[name];
+    var now = this._context.currentTime;
+    for (var i = 0; i < notes.length; i++) {
+        var osc = this._context.createOscillator();
+        var gain = this._context.createGain ? this._context.createGain() : this._context.createGainNode();
+        var at = now + notes[i][1];
+        var duration = notes[i][2];
+        osc.frequency.value = notes[i][0];
+        // Fade each note out so that it doesn't click.
+        gain.gain.setValueAtTime(0.3, at);
+        gain.gain.linearRampToValueAtTime(0, at + duration);
+        osc.connect(gain);
+        gain.connect(this._context.destination);
+        start(osc, at);
+        stop(osc, at + duration);
+    }
+}
+// Say something with the speech synthesizer, for when there's no recording of it.
+Sounds.prototype.say = function(text) {
+    if (this._muted || !text) return;
+    if (!this._speaker) this._speaker = new TBoard.Speaker();
+    this._speaker.say(text);
+}
+// Say a tile's sound with the speech synthesizer, if we know how (see PHONEMES).
+Sounds.prototype.sayTile = function(tile) {
+    var text = tile && tile.toLowerCase();
+    if (PHONEMES.hasOwnProperty(text)) this.say(PHONEMES[text]);
+}
+// Make a button that mutes and unmutes.
+Sounds.prototype.muteButton = function() {
+    var button = document.createElement('div');
+    button.className = 'mute-button';
+    button.setAttribute('role', 'button');
+    var self = this;
+    function toggle(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        self.setMuted(!self._muted);
+    }
+    button.addEventListener('touchend', toggle, false);
+    button.addEventListener('click', toggle, false);
+    this._muteButtons.push(button);
+    this._updateMuteButton(button);
+    return button;
+}
+Sounds.prototype._updateMuteButton = function(button) {
+    // Speaker with sound waves, or speaker with a cross.
+    button.innerHTML = this._muted ? '&#x1f507;' : '&#x1f50a;';
+    button.setAttribute('aria-label', this._muted ? 'Turn sound on' : 'Turn sound off');
+    if (this._muted) button.classList.add('muted');
+    else button.classList.remove('muted');
+}
+Sounds.prototype._forgetMuteButton = function(button) {
+    var idx = this._muteButtons.indexOf(button);
+    if (idx != -1) this._muteButtons.splice(idx, 1);
+}
+// Make an observer for Launcher.addObserver that plays the sounds for a board.
+Sounds.prototype.observer = function(desc) {
+    return new BoardSounds(this, desc.board.sounds);
+}
+
+//
+// BoardSounds plays the sounds for one open board. Boards can have their own recordings:
+//
+//  sounds: { letters: { 'a': 'sounds/a.mp3', ... }, words: { 'cat': 'sounds/cat.mp3', ... } }
+//
+function BoardSounds(sounds, clips) {
+    this._sounds = sounds;
+    this._letters = (clips && clips.letters) || {};
+    this._words = (clips && clips.words) || {};
+    this._attached = false;
+}
+BoardSounds.prototype.attach = function(items) {
+    for (var k in this._letters)
+        if (this._letters.hasOwnProperty(k)) this._sounds.preload(this._letters[k]);
+    for (var k in this._words)
+        if (this._words.hasOwnProperty(k)) this._sounds.preload(this._words[k]);
+    this._muteButton = this._sounds.muteButton();
+    items.board.appendChild(this._muteButton);
+    // Groups that were put back by progress have already matched, before we started listening.
+    var self = this;
+    items.on('letterpickedup', function(letter) { self._letterPickedUp(letter); });
+    items.on('groupcomplete', function(group) { self._groupComplete(group); });
+    items.on('groupduplicate', function(group) { self._groupDuplicate(group); });
+    items.on('groupunmatched', function(group) { self._groupUnmatched(group); });
+    this._attached = true;
+}
+BoardSounds.prototype.detach = function() {
+    this._attached = false;
+    if (this._muteButton) this._sounds._forgetMuteButton(this._muteButton);
+}
+BoardSounds.prototype._letterPickedUp = function(letter) {
+    if (!this._attached) return;
+    var text = letter.text();
+    if (this._letters.hasOwnProperty(text)) this._sounds.play(this._letters[text]);
+    else this._sounds.sayTile(text);
+}
+BoardSounds.prototype._groupComplete = function(group) {
+    if (!this._attached) return;
+    this._sounds.cue('match');
+    var word = group.word();
+    if (!word || !this._words.hasOwnProperty(word.toLowerCase())) return;
+    var self = this;
+    var url = this._words[word.toLowerCase()];
+    window.setTimeout(function() { self._sounds.play(url); }, WORD_DELAY);
+}
+BoardSounds.prototype._groupDuplicate = function(group) {
+    if (this._attached) this._sounds.cue('duplicate');
+}
+BoardSounds.prototype._groupUnmatched = function(group) {
+    // We hear about every letter going in or out, but only a full group is a wrong answer.
+    if (this._attached && group.isFull()) this._sounds.cue('nomatch');
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Sounds = Sounds;
+window.TBoard.Sounds.WORD_DELAY = WORD_DELAY;
+})();
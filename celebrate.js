@@ -0,0 +1,94 @@
+// Celebration: cheers when a whole board is done and offers the next one.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+// Give the last word time to wave before covering the board.
+var DELAY = 800;
+var STARS = 24;
+var STAR_PICTURES = ['\u2605', '\u2736', '\u2739', '\u273f'];
+var STAR_COLORS = ['#e53935', '#fb8c00', '#fdd835', '#43a047', '#1e88e5', '#8e24aa'];
+
+//
+// Celebration is a board observer (see Launcher.addObserver). When a board is finished (see
+// Group.progress) it plays the "complete" cue (if it has Sounds), rains stars over the board
+// and shows a "next board" button that goes straight to the board after this one on the
+// launcher, and a button to stay and look at the finished board. Boards that were already
+// finished when they were opened don't celebrate again, and challenge boards (see
+// challenge.js) show their score instead.
+//
+function Celebration(launcher, sounds) {
+    this._launcher = launcher;
+    this._sounds = sounds || null;
+}
+// Make an observer for Launcher.addObserver.
+Celebration.prototype.observer = function(desc) {
+    if (desc.board && desc.board.challenge) return null;
+    return new BoardCelebration(this);
+}
+
+function BoardCelebration(celebration) {
+    this._celebration = celebration;
+    this._attached = false;
+    this._timer = null;
+    this._element = null;
+    this._shown = false;
+}
+BoardCelebration.prototype.attach = function(items) {
+    this._board = items.board;
+    var self = this;
+    items.on('boardcomplete', function() { self._boardComplete(); });
+    this._attached = true;
+}
+BoardCelebration.prototype.detach = function() {
+    this._attached = false;
+    if (this._timer) window.clearTimeout(this._timer);
+    this._timer = null;
+}
+BoardCelebration.prototype._boardComplete = function() {
+    if (!this._attached || this._timer || this._shown) return;
+    var self = this;
+    this._timer = window.setTimeout(function() {
+        self._timer = null;
+        if (self._attached) self.show();
+    }, DELAY);
+}
+BoardCelebration.prototype.show = function() {
+    var launcher = this._celebration._launcher;
+    var sounds = this._celebration._sounds;
+    if (sounds) sounds.cue('complete');
+    this._shown = true;
+
+    var self = this;
+    this._element = TBoard.Dom.element('div', 'celebration');
+    this._element.setAttribute('role', 'dialog');
+    this._element.setAttribute('aria-label', 'All done!');
+    for (var i = 0; i < STARS; i++) {
+        var star = TBoard.Dom.element('div', 'celebration-star', STAR_PICTURES[i % STAR_PICTURES.length]);
+        star.style.color = STAR_COLORS[i % STAR_COLORS.length];
+        star.style.left = Math.floor(Math.random() * 95) + '%';
+        star.style.animationDelay = star.style.webkitAnimationDelay = Math.floor(Math.random() * 1500) + 'ms';
+        star.setAttribute('aria-hidden', 'true');
+        this._element.appendChild(star);
+    }
+    this._element.appendChild(TBoard.Dom.element('div', 'celebration-message', '\u2605 All done! \u2605'));
+
+    var first = null;
+    if (launcher.nextBoard()) {
+        first = TBoard.Dom.button('celebration-next', 'Next board &#x27a1;', function() { launcher.openNext(); });
+        this._element.appendChild(first);
+    }
+    var stay = TBoard.Dom.button('celebration-stay', 'Stay here', function() { self.hide(); });
+    this._element.appendChild(stay);
+    this._board.appendChild(this._element);
+    (first || stay).focus();
+}
+BoardCelebration.prototype.hide = function() {
+    if (!this._element) return;
+    this._element.parentNode.removeChild(this._element);
+    this._element = null;
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Celebration = Celebration;
+})();
@@ -0,0 +1,257 @@
+// Challenge: a race against the clock on boards that ask for one.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+// How long a challenge lasts (in seconds) when the board just says "challenge": true.
+var TIME = 60;
+// Every right word is worth POINTS, plus LENGTH_BONUS for each letter over SHORT_WORD.
+var POINTS = 10;
+var LENGTH_BONUS = 5;
+var SHORT_WORD = 3;
+// Each right word in a row multiplies the points by one more, up to MAX_MULTIPLIER.
+var MAX_MULTIPLIER = 4;
+// How many of the best scores to keep for each board.
+var HIGH_SCORES = 5;
+
+var element = TBoard.Dom.element;
+var button = TBoard.Dom.button;
+
+function now() { return new Date().getTime(); }
+function formatTime(seconds) {
+    var s = seconds % 60;
+    return Math.floor(seconds / 60) + ':' + (s < 10 ? '0' : '') + s;
+}
+
+// How long a board's challenge lasts in seconds, or 0 if it doesn't have one.
+function challengeTime(desc) {
+    var challenge = desc.board && desc.board.challenge;
+    if (!challenge) return 0;
+    return challenge.time || TIME;
+}
+// What a right word is worth before the streak multiplier.
+function wordPoints(word) {
+    return POINTS + LENGTH_BONUS * Math.max(0, word.length - SHORT_WORD);
+}
+
+//
+// Challenge is a board observer (see Launcher.addObserver) for boards with "challenge" in
+// their definition, like { "challenge": { "time": 90 } }. Those boards get a start button;
+// starting clears the board and counts down, and each right word scores points (more for
+// longer words) multiplied by how many right words there have been in a row. Each word only
+// scores once, and a word that's already used or wrong ends the streak. When time
+// runs out (or the board is done) the score goes into the current child's high scores for
+// the board, which are shown on its launcher tile (see tileNote).
+//
+function Challenge(launcher, store, picker) {
+    this._launcher = launcher;
+    this._store = store || new TBoard.Store();
+    this._picker = picker || null;
+}
+// Make an observer for Launcher.addObserver.
+Challenge.prototype.observer = function(desc) {
+    var time = challengeTime(desc);
+    if (!time) return null;
+    return new BoardChallenge(this, desc.id || desc.title, time);
+}
+// High scores are kept with the current child's profile if there is one.
+Challenge.prototype._scoreStore = function() {
+    var profile = this._picker && this._picker.current();
+    return profile ? profile.store() : this._store;
+}
+// The best scores on a board, best first, as [{ score, words, time }].
+Challenge.prototype.highScores = function(boardId) {
+    return this._scoreStore().get('challenge.scores', {})[boardId] || [];
+}
+// Add a score to a board's high scores. Returns its place in them (0 for the best), or -1
+// if it wasn't good enough.
+Challenge.prototype.addScore = function(boardId, score, words) {
+    var all = this._scoreStore().get('challenge.scores', {});
+    var scores = all[boardId] || [];
+    var entry = { score: score, words: words, time: now() };
+    var place = 0;
+    while (place < scores.length && scores[place].score >= score) place++;
+    if (place >= HIGH_SCORES) return -1;
+    scores.splice(place, 0, entry);
+    all[boardId] = scores.slice(0, HIGH_SCORES);
+    this._scoreStore().set('challenge.scores', all);
+    return place;
+}
+// The text for a board's launcher tile (see Launcher.addTileNote): the best score.
+Challenge.prototype.tileNote = function(desc) {
+    if (!challengeTime(desc)) return null;
+    var scores = this.highScores(desc.id || desc.title);
+    return '\u23f1 ' + (scores.length ? scores[0].score : '-');
+}
+
+//
+// BoardChallenge runs the challenge on one open board.
+//
+function BoardChallenge(challenge, boardId, time) {
+    this._challenge = challenge;
+    this._boardId = boardId;
+    this._time = time;
+    this._attached = false;
+    this._running = false;
+    this._timer = null;
+    this._overlay = null;
+}
+BoardChallenge.prototype.attach = function(items) {
+    this._items = items;
+    this._bar = element('div', 'challenge-bar');
+    this._bar.setAttribute('role', 'timer');
+    this._clock = element('span', 'challenge-clock');
+    this._score = element('span', 'challenge-score');
+    this._streak = element('span', 'challenge-streak');
+    this._bar.appendChild(this._clock);
+    this._bar.appendChild(this._score);
+    this._bar.appendChild(this._streak);
+    items.board.appendChild(this._bar);
+    var self = this;
+    items.on('groupcomplete', function(group) { self._groupComplete(group); });
+    items.on('groupduplicate', function(group) { self._groupDuplicate(group); });
+    items.on('groupunmatched', function(group) { self._groupUnmatched(group); });
+    items.on('boardcomplete', function() { self._boardComplete(); });
+    this._attached = true;
+    this._reset();
+    this._showStart();
+}
+BoardChallenge.prototype.detach = function() {
+    this._attached = false;
+    this._running = false;
+    this._stopTimer();
+}
+BoardChallenge.prototype.isRunning = function() { return this._running; }
+BoardChallenge.prototype.score = function() { return this._points; }
+BoardChallenge.prototype._reset = function() {
+    this._points = 0;
+    this._streakCount = 0;
+    this._scored = {};
+    this._words = 0;
+    this._left = this._time;
+    this._update();
+}
+BoardChallenge.prototype._update = function() {
+    this._clock.textContent = '\u23f1 ' + formatTime(this._left);
+    this._score.textContent = String(this._points);
+    var multiplier = Math.min(this._streakCount, MAX_MULTIPLIER);
+    this._streak.textContent = multiplier > 1 ? '\u00d7' + multiplier : '';
+    if (this._left <= 10 && this._running) this._bar.classList.add('hurry');
+    else this._bar.classList.remove('hurry');
+}
+// Send every letter back and start counting down.
+BoardChallenge.prototype.start = function() {
+    if (!this._attached) return;
+    this._hideOverlay();
+    this._items.clear();
+    this._reset();
+    this._running = true;
+    this._ends = now() + this._time * 1000;
+    var self = this;
+    this._stopTimer();
+    this._timer = window.setInterval(function() { self._tick(); }, 250);
+    this._update();
+}
+BoardChallenge.prototype._tick = function() {
+    this._left = Math.max(0, Math.ceil((this._ends - now()) / 1000));
+    this._update();
+    if (!this._left) this.finish();
+}
+BoardChallenge.prototype._stopTimer = function() {
+    if (this._timer) window.clearInterval(this._timer);
+    this._timer = null;
+}
+// Stop the clock, keep the score and show how it went.
+BoardChallenge.prototype.finish = function() {
+    if (!this._running) return;
+    this._running = false;
+    this._stopTimer();
+    this._update();
+    var place = this._challenge.addScore(this._boardId, this._points, this._words);
+    this._showResults(place);
+}
+BoardChallenge.prototype._showStart = function() {
+    var overlay = this._showOverlay();
+    overlay.appendChild(element('div', 'challenge-title', 'Challenge!'));
+    overlay.appendChild(element('div', 'challenge-text',
+        'Make as many words as you can in ' + formatTime(this._time) + '.'));
+    this._addHighScores(overlay, -1);
+    var self = this;
+    var start = button('challenge-start', 'Start', function() { self.start(); });
+    overlay.appendChild(start);
+    start.focus();
+}
+BoardChallenge.prototype._showResults = function(place) {
+    var overlay = this._showOverlay();
+    var title = place == 0 ? 'New best score!' : this._left ? 'All done!' : 'Time\'s up!';
+    overlay.appendChild(element('div', 'challenge-title', title));
+    overlay.appendChild(element('div', 'challenge-text',
+        this._points + ' points for ' + this._words + (this._words == 1 ? ' word' : ' words') + '.'));
+    this._addHighScores(overlay, place);
+    var self = this;
+    var again = button('challenge-start', 'Play again', function() { self.start(); });
+    overlay.appendChild(again);
+    overlay.appendChild(button('challenge-back', 'Back', function() { self._challenge._launcher.close(); }));
+    again.focus();
+}
+BoardChallenge.prototype._addHighScores = function(overlay, place) {
+    var scores = this._challenge.highScores(this._boardId);
+    if (!scores.length) return;
+    var table = element('ol', 'challenge-scores');
+    for (var i = 0; i < scores.length; i++) {
+        var item = element('li', i == place ? 'latest' : null,
+            scores[i].score + ' (' + scores[i].words + (scores[i].words == 1 ? ' word)' : ' words)'));
+        table.appendChild(item);
+    }
+    overlay.appendChild(table);
+}
+// The overlay covers the board so that letters can't be moved while the clock isn't running,
+// and the homes are turned off so that they can't be filled from the keyboard either.
+BoardChallenge.prototype._showOverlay = function() {
+    this._hideOverlay();
+    this._setHomesEnabled(false);
+    this._overlay = element('div', 'challenge-overlay');
+    this._overlay.setAttribute('role', 'dialog');
+    this._items.board.appendChild(this._overlay);
+    return this._overlay;
+}
+BoardChallenge.prototype._hideOverlay = function() {
+    if (!this._overlay) return;
+    this._overlay.parentNode.removeChild(this._overlay);
+    this._overlay = null;
+    this._setHomesEnabled(true);
+}
+BoardChallenge.prototype._setHomesEnabled = function(enabled) {
+    var groups = this._items.groups;
+    for (var i = 0; i < groups.length; i++) {
+        var homes = groups[i].homes();
+        for (var h = 0; h < homes.length; h++) homes[h].setEnabled(enabled);
+    }
+}
+BoardChallenge.prototype._miss = function() {
+    if (!this._running) return;
+    this._streakCount = 0;
+    this._update();
+}
+// Words only score the first time, so taking a letter out and putting it back doesn't count.
+BoardChallenge.prototype._groupComplete = function(group) {
+    if (!this._running) return;
+    var word = group.word() || group.completionText();
+    if (this._scored[word]) return;
+    this._scored[word] = true;
+    this._streakCount++;
+    this._words++;
+    this._points += wordPoints(word) * Math.min(this._streakCount, MAX_MULTIPLIER);
+    this._update();
+}
+BoardChallenge.prototype._groupDuplicate = function(group) { this._miss(); }
+BoardChallenge.prototype._groupUnmatched = function(group) {
+    if (group.isFull()) this._miss();
+}
+BoardChallenge.prototype._boardComplete = function() { this.finish(); }
+
+Challenge.wordPoints = wordPoints;
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Challenge = Challenge;
+})();
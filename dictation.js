@@ -0,0 +1,201 @@
+// Dictation: hear a word and spell it, without the rest of the word to go on.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+// Give the board time to zoom in before saying the first word, and the last word time to
+// wave (and be said, see speech.js) before saying the next one.
+var START_DELAY = 700;
+var NEXT_DELAY = 1800;
+
+var element = TBoard.Dom.element;
+
+// The whole words that a board's completions make, in order and without repeats, as lists
+// of tiles. Words that need a letter the board doesn't have (like a capital in a sentence)
+// are left out, since they couldn't be spelled.
+function dictationWords(board) {
+    var letters = typeof board.letters == 'string' ? board.letters.split('') : board.letters;
+    var sections = ['left', 'right', 'bottom'];
+    var words = [];
+    var seen = {};
+    for (var s = 0; s < sections.length; s++) {
+        var entries = board[sections[s]] || [];
+        for (var e = 0; e < entries.length; e++) {
+            for (var c = 0; c < entries[e].completions.length; c++) {
+                var completion = TBoard.Validator.segment(entries[e].completions[c], letters);
+                var word = TBoard.Group.patternWord(entries[e].word, completion);
+                var tiles = TBoard.Validator.segment(word, letters);
+                var spellable = true;
+                for (var t = 0; t < tiles.length; t++)
+                    if (letters.indexOf(tiles[t]) == -1) spellable = false;
+                if (!spellable || seen.hasOwnProperty(word)) continue;
+                seen[word] = true;
+                words.push(tiles);
+            }
+        }
+    }
+    return words;
+}
+
+//
+// Dictation turns boards with "dictation": true into a spelling test. Its board filter (see
+// Launcher.addBoardFilter) swaps the board's rows for one row of blanks for each word that
+// its completions make, and each row only takes its own word. Its observer shows one row at
+// a time and says the word (with the board's recording if it has one), with a button to hear
+// it again. Once a word is right it moves on to the next one. How many wrong tries each word
+// took is logged in the current child's profile for the teacher report, and the words that
+// needed more than one go are listed on the board at the end.
+//
+function Dictation(speaker, sounds, picker) {
+    this._speaker = speaker || new TBoard.Speaker();
+    this._sounds = sounds || null;
+    this._picker = picker || null;
+}
+Dictation.prototype.boardFilter = function() {
+    return function(desc, board) {
+        if (!board.dictation) return board;
+        var words = dictationWords(board);
+        var rows = [];
+        for (var i = 0; i < words.length; i++) {
+            rows.push({ completions: [words[i]], word: TBoard.Validator.blanks(words[i].length) });
+        }
+        var dictation = { letters: board.letters, left: rows, dictation: true };
+        if (board.sounds) dictation.sounds = board.sounds;
+        if (board.inventory) dictation.inventory = board.inventory;
+        return dictation;
+    };
+}
+// Make an observer for Launcher.addObserver.
+Dictation.prototype.observer = function(desc) {
+    if (!desc.board.dictation) return null;
+    return new BoardDictation(this, desc.id || desc.title, desc.board.sounds);
+}
+Dictation.prototype._say = function(word, clips) {
+    if (this._sounds && this._sounds.muted()) return;
+    var url = clips && clips.words && clips.words[word.toLowerCase()];
+    if (url && this._sounds) this._sounds.play(url);
+    else this._speaker.say(word);
+}
+Dictation.prototype._record = function(boardId, word, retries) {
+    var profile = this._picker && this._picker.current();
+    if (profile) profile.addEvent({ type: 'dictation', board: boardId, word: word, retries: retries });
+}
+
+//
+// BoardDictation runs the dictation on one open board.
+//
+function BoardDictation(dictation, boardId, clips) {
+    this._dictation = dictation;
+    this._boardId = boardId;
+    this._clips = clips || null;
+    this._attached = false;
+    this._current = null;
+    this._timer = null;
+    // How many wrong tries each word has had, by word, and the words in the order they were done.
+    this._retries = {};
+    this._done = [];
+    this._lastTry = null;
+}
+BoardDictation.prototype.attach = function(items) {
+    this._items = items;
+    var self = this;
+    this._button = TBoard.Dom.button('dictation-say', '&#x1f508;', function() { self.say(); });
+    this._button.setAttribute('aria-label', 'Say the word again');
+    items.board.classList.add('dictation');
+    items.on('groupcomplete', function(group) { self._groupComplete(group); });
+    items.on('groupunmatched', function(group) { self._groupUnmatched(group); });
+    this._attached = true;
+    this._next(START_DELAY);
+}
+BoardDictation.prototype.detach = function() {
+    this._attached = false;
+    if (this._timer) window.clearTimeout(this._timer);
+    this._timer = null;
+    this._dictation._speaker.cancel();
+}
+// The word being asked for, or null once they've all been spelled.
+BoardDictation.prototype.word = function() {
+    if (!this._current) return null;
+    var suggestion = this._current.suggestion();
+    return suggestion ? suggestion.join('') : null;
+}
+// The words done since the board was opened, as [{ word, retries }].
+BoardDictation.prototype.results = function() {
+    var results = [];
+    for (var i = 0; i < this._done.length; i++)
+        results.push({ word: this._done[i], retries: this._retries[this._done[i]] || 0 });
+    return results;
+}
+BoardDictation.prototype.say = function() {
+    var word = this.word();
+    if (this._attached && word) this._dictation._say(word, this._clips);
+}
+// Show the rows that are done and the first one that isn't, and say its word after a delay.
+// Rows after it are hidden and don't take letters until it's their turn.
+BoardDictation.prototype._next = function(delay) {
+    var groups = this._items.groups;
+    this._current = null;
+    for (var i = 0; i < groups.length; i++) {
+        var group = groups[i];
+        var current = !this._current && group.state() != 'correct';
+        if (current) this._current = group;
+        var later = !current && group.state() != 'correct';
+        if (current) group.element.classList.add('dictation-current');
+        else group.element.classList.remove('dictation-current');
+        if (later) group.element.classList.add('dictation-later');
+        else group.element.classList.remove('dictation-later');
+        var homes = group.homes();
+        for (var h = 0; h < homes.length; h++) homes[h].setEnabled(!later);
+    }
+    if (this._button.parentNode) this._button.parentNode.removeChild(this._button);
+    if (this._current) this._current.element.insertBefore(this._button, this._current.element.firstChild);
+    // Showing a row moves the rest of the board about.
+    for (var i = 0; i < this._items.homes.length; i++) this._items.homes[i].update();
+    if (!this._current) {
+        this._showResults();
+        return;
+    }
+    var self = this;
+    if (this._timer) window.clearTimeout(this._timer);
+    this._timer = window.setTimeout(function() {
+        self._timer = null;
+        self.say();
+    }, delay);
+}
+BoardDictation.prototype._showResults = function() {
+    var retried = [];
+    var results = this.results();
+    for (var i = 0; i < results.length; i++)
+        if (results[i].retries) retried.push(results[i].word + (results[i].retries > 1 ? ' (' + results[i].retries + ')' : ''));
+    if (!retried.length) return;
+    this._items.board.appendChild(element('div', 'dictation-results', 'Needed another go: ' + retried.join(', ')));
+}
+// Changing one letter of a wrong word at a time makes a new wrong word each time, but
+// swapping a letter for the same one again isn't another try.
+BoardDictation.prototype._groupUnmatched = function(group) {
+    var word = this.word();
+    if (!this._attached || group != this._current || !group.isFull()) return;
+    var spelled = group.spelling().join('');
+    if (spelled == this._lastTry) return;
+    this._lastTry = spelled;
+    this._retries[word] = (this._retries[word] || 0) + 1;
+}
+BoardDictation.prototype._groupComplete = function(group) {
+    if (!this._attached || group != this._current) return;
+    var word = group.word();
+    this._done.push(word);
+    this._lastTry = null;
+    this._dictation._record(this._boardId, word, this._retries[word] || 0);
+    this._current = null;
+    var self = this;
+    this._timer = window.setTimeout(function() {
+        self._timer = null;
+        if (self._attached) self._next(0);
+    }, NEXT_DELAY);
+}
+
+Dictation.words = dictationWords;
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Dictation = Dictation;
+})();
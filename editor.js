@@ -0,0 +1,370 @@
+// Editor: lets teachers make their own boards.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+var SECTIONS = ['left', 'right', 'bottom'];
+var SECTION_NAMES = { left: 'Words', right: 'Word families', bottom: 'Sentences' };
+// Wait until typing stops for a moment before rebuilding the preview.
+var PREVIEW_DELAY = 300;
+
+//
+// The boards made in the editor are kept in the store as a board pack (see pack.js), so
+// that they're exported and checked the same way as any other pack.
+//
+function emptyPack() {
+    return { format: TBoard.Validator.FORMAT, version: TBoard.Validator.VERSION, title: 'My boards', boards: [] };
+}
+function toDescription(board) {
+    return TBoard.BoardPack.toDescriptions({ boards: [board] })[0];
+}
+
+// Letters are typed either as a string ("alnpt") or as tiles split by commas or spaces
+// ("sh, ch, a, t").
+function parseLetters(text) {
+    text = text.replace(/^[\s,]+|[\s,]+$/g, '');
+    if (!/[\s,]/.test(text)) return text;
+    return text.split(/[\s,]+/);
+}
+function formatLetters(letters) {
+    return typeof letters == 'string' ? letters : letters.join(', ');
+}
+// How many of each letter: blank for no limit, a number for every letter, or counts for
+// some letters like "a 2, t 1" (see inventoryCount in letter.js).
+function parseInventory(text) {
+    text = text.replace(/^[\s,]+|[\s,]+$/g, '');
+    if (!text) return null;
+    if (/^\d+$/.test(text)) return Number(text);
+    var inventory = {};
+    var parts = text.split(/\s*,\s*/);
+    for (var i = 0; i < parts.length; i++) {
+        var match = /^(\D+?)[\s:]*(\d+)$/.exec(parts[i]);
+        if (match) inventory[match[1]] = Number(match[2]);
+    }
+    return inventory;
+}
+function formatInventory(inventory) {
+    if (!inventory) return '';
+    if (typeof inventory == 'number') return String(inventory);
+    var parts = [];
+    for (var k in inventory)
+        if (inventory.hasOwnProperty(k)) parts.push(k + ' ' + inventory[k]);
+    return parts.join(', ');
+}
+function parseList(text) {
+    text = text.replace(/^[\s,]+|[\s,]+$/g, '');
+    return text ? text.split(/[\s,]+/) : [];
+}
+function formatCompletion(completion) {
+    return typeof completion == 'string' ? completion : completion.join('');
+}
+
+var element = TBoard.Dom.element;
+var button = TBoard.Dom.button;
+
+//
+// Editor is a screen with a form on the left and a live preview, made with Builder, on the
+// right. Saved boards go into the launcher and are kept in the store, so they're still there
+// next time (see addSavedBoards). It adds a button to the launcher to open it, which has to
+// be held down like the teacher button on the profile screen.
+//
+function Editor(launcher, store) {
+    this._launcher = launcher;
+    this._store = store || new TBoard.Store();
+    this._pack = this._store.get('editor.pack', null) || emptyPack();
+    this._board = null;
+    this._preview = null;
+    this._timer = null;
+
+    var self = this;
+    var open = element('div', 'teacher-button editor-button');
+    open.innerHTML = '&#x270e;';
+    open.setAttribute('role', 'button');
+    open.setAttribute('aria-label', 'Edit boards (hold down)');
+    launcher.element().appendChild(open);
+    new TBoard.TeacherGate(open, function() { self.open(); });
+
+    this._build();
+}
+Editor.prototype.element = function() { return this._element; }
+// Put the boards saved last time on the launcher. This waits until the packs have loaded so
+// that they go after the packs' boards.
+Editor.prototype.addSavedBoards = function() {
+    for (var i = 0; i < this._pack.boards.length; i++) this._launcher.saveBoard(toDescription(this._pack.boards[i]));
+}
+Editor.prototype._build = function() {
+    var self = this;
+    this._element = element('div', 'screen editor');
+    this._element.style.opacity = 0;
+    this._element.style.pointerEvents = 'none';
+
+    var form = element('div', 'editor-form');
+    this._element.appendChild(form);
+    // The body stops touches to keep the page from scrolling, but we need them to get to the
+    // form fields.
+    form.addEventListener('touchstart', function(e) { e.stopPropagation(); }, false);
+
+    var toolbar = element('div', 'editor-toolbar');
+    form.appendChild(toolbar);
+    this._picker = element('select', 'editor-picker');
+    this._picker.addEventListener('change', function() { self._pick(self._picker.value); }, false);
+    toolbar.appendChild(this._picker);
+    toolbar.appendChild(button('editor-generate', 'Generate', function() { self._generate(); }));
+    toolbar.appendChild(button('editor-save', 'Save', function() { self._save(); }));
+    toolbar.appendChild(button('editor-export', 'Export', function() { self._export(); }));
+    toolbar.appendChild(button('editor-delete', 'Delete', function() { self._delete(); }));
+    toolbar.appendChild(button('editor-close', 'Close', function() { self.close(); }));
+
+    this._title = this._field(form, 'Title');
+    this._letters = this._field(form, 'Letters');
+    // Boards with a time are challenges (see challenge.js).
+    this._challenge = this._field(form, 'Challenge');
+    this._challenge.placeholder = 'how many seconds, or blank for off';
+    this._inventory = this._field(form, 'Tiles');
+    this._inventory.placeholder = 'no limit, or like a 2, t 1';
+    // Dictation boards say each word for the child to spell (see dictation.js).
+    this._dictation = this._checkbox(form, 'Dictation');
+
+    this._sections = {};
+    for (var s = 0; s < SECTIONS.length; s++) {
+        var name = SECTIONS[s];
+        form.appendChild(element('h2', null, SECTION_NAMES[name]));
+        var list = element('div', 'editor-entries');
+        form.appendChild(list);
+        this._sections[name] = list;
+        function addAdder(name) {
+            form.appendChild(button('editor-add', '+ Add', function() { self._addEntry(name, null); self._changed(); }));
+        }
+        addAdder(name);
+    }
+
+    this._problems = element('ul', 'editor-problems');
+    form.appendChild(this._problems);
+
+    this._previewArea = element('div', 'editor-preview');
+    this._element.appendChild(this._previewArea);
+}
+Editor.prototype._field = function(parent, label) {
+    var row = element('label', 'editor-field');
+    row.appendChild(element('span', null, label));
+    var input = element('input');
+    input.type = 'text';
+    var self = this;
+    input.addEventListener('input', function() { self._changed(); }, false);
+    row.appendChild(input);
+    parent.appendChild(row);
+    return input;
+}
+Editor.prototype._checkbox = function(parent, label) {
+    var row = element('label', 'editor-field');
+    row.appendChild(element('span', null, label));
+    var input = element('input');
+    input.type = 'checkbox';
+    var self = this;
+    input.addEventListener('change', function() { self._changed(); }, false);
+    row.appendChild(input);
+    parent.appendChild(row);
+    return input;
+}
+// Add a row for one entry: the word with "_" for each blank, its completions and a limit.
+Editor.prototype._addEntry = function(section, entry) {
+    var self = this;
+    var row = element('div', 'editor-entry');
+    function input(className, placeholder, value) {
+        var i = element('input', className);
+        i.type = 'text';
+        i.placeholder = placeholder;
+        i.value = value;
+        i.addEventListener('input', function() { self._changed(); }, false);
+        row.appendChild(i);
+        return i;
+    }
+    var completions = entry ? entry.completions : [];
+    var formatted = [];
+    for (var i = 0; i < completions.length; i++) formatted.push(formatCompletion(completions[i]));
+    input('editor-word', 'c__', entry ? entry.word : '');
+    input('editor-completions', 'at, an', formatted.join(', '));
+    input('editor-limit', 'all', entry && entry.limit ? String(entry.limit) : '');
+    var remove = button('editor-remove', '&#x2716;', function() {
+        row.parentNode.removeChild(row);
+        self._changed();
+    });
+    remove.setAttribute('aria-label', 'Remove');
+    row.appendChild(remove);
+    this._sections[section].appendChild(row);
+}
+Editor.prototype.open = function(id) {
+    this._refreshPicker();
+    this._pick(id || '');
+    this._element.style.opacity = 1;
+    this._element.style.pointerEvents = null;
+}
+Editor.prototype.close = function() {
+    this._disposePreview();
+    this._element.style.opacity = 0;
+    this._element.style.pointerEvents = 'none';
+}
+Editor.prototype._refreshPicker = function() {
+    this._picker.innerHTML = '';
+    var option = element('option', null, 'New board');
+    option.value = '';
+    this._picker.appendChild(option);
+    for (var i = 0; i < this._pack.boards.length; i++) {
+        option = element('option', null, this._pack.boards[i].title);
+        option.value = this._pack.boards[i].id;
+        this._picker.appendChild(option);
+    }
+}
+Editor.prototype._find = function(id) {
+    for (var i = 0; i < this._pack.boards.length; i++)
+        if (this._pack.boards[i].id == id) return i;
+    return -1;
+}
+// Start editing a saved board, or a new one if there's no id.
+Editor.prototype._pick = function(id) {
+    var idx = this._find(id);
+    var board = idx == -1 ? { id: 'custom-' + new Date().getTime().toString(36), title: '', letters: '' } : this._pack.boards[idx];
+    this._picker.value = idx == -1 ? '' : id;
+    this._edit(board);
+}
+// Fill in the form from a board.
+Editor.prototype._edit = function(board) {
+    this._board = board;
+    this._title.value = board.title;
+    this._letters.value = formatLetters(board.letters);
+    this._challenge.value = board.challenge && board.challenge.time ? String(board.challenge.time) : '';
+    this._inventory.value = formatInventory(board.inventory);
+    this._dictation.checked = !!board.dictation;
+    for (var s = 0; s < SECTIONS.length; s++) {
+        var name = SECTIONS[s];
+        this._sections[name].innerHTML = '';
+        var entries = board[name] || [];
+        for (var e = 0; e < entries.length; e++) this._addEntry(name, entries[e]);
+        if (!entries.length) this._addEntry(name, null);
+    }
+    this._update();
+}
+// Read the form back into a board. Rows without a word are skipped, as are empty sections.
+Editor.prototype._read = function() {
+    var board = { id: this._board.id, title: this._title.value, letters: parseLetters(this._letters.value) };
+    for (var s = 0; s < SECTIONS.length; s++) {
+        var name = SECTIONS[s];
+        var rows = this._sections[name].querySelectorAll('.editor-entry');
+        var entries = [];
+        for (var r = 0; r < rows.length; r++) {
+            var word = rows[r].querySelector('.editor-word').value;
+            if (!word) continue;
+            var entry = { completions: parseList(rows[r].querySelector('.editor-completions').value), word: word };
+            var limit = rows[r].querySelector('.editor-limit').value;
+            if (limit) entry.limit = Number(limit);
+            entries.push(entry);
+        }
+        if (entries.length) board[name] = entries;
+    }
+    // Blank or "off" is no challenge; anything else that isn't a number is left for the
+    // validator to complain about.
+    var seconds = this._challenge.value.replace(/^\s+|\s+$/g, '');
+    if (seconds && !/^off$/i.test(seconds)) board.challenge = { time: /^\d+$/.test(seconds) ? Number(seconds) : seconds };
+    var inventory = parseInventory(this._inventory.value);
+    if (inventory) board.inventory = inventory;
+    if (this._dictation.checked) board.dictation = true;
+    // There's nowhere to change these in the form, but they shouldn't get lost.
+    if (this._board.sentences) board.sentences = this._board.sentences;
+    return board;
+}
+// Replace the words with ones made from the letters (see generate.js).
+Editor.prototype._generate = function() {
+    var current = this._read();
+    var board = TBoard.Generator.generate(TBoard.Generator.parseLetters(this._letters.value), { title: current.title });
+    if (!board) {
+        window.alert('Those letters don\'t make any words that we know.');
+        return;
+    }
+    var hasWords = false;
+    for (var s = 0; s < SECTIONS.length; s++)
+        if (current[SECTIONS[s]]) hasWords = true;
+    if (hasWords && !window.confirm('Replace the words on this board?')) return;
+    board.id = current.id;
+    this._edit(board);
+}
+Editor.prototype._changed = function() {
+    var self = this;
+    if (this._timer) window.clearTimeout(this._timer);
+    this._timer = window.setTimeout(function() {
+        self._timer = null;
+        self._update();
+    }, PREVIEW_DELAY);
+}
+// Check the board and show what's wrong with it. If nothing is, rebuild the preview.
+Editor.prototype._update = function() {
+    var board = this._read();
+    var report = this._check(board);
+    this._problems.innerHTML = '';
+    var errors = report.errorMessages();
+    var warnings = report.warningMessages();
+    for (var i = 0; i < errors.length; i++) this._problems.appendChild(element('li', 'error', errors[i]));
+    for (var i = 0; i < warnings.length; i++) this._problems.appendChild(element('li', 'warning', warnings[i]));
+    if (report.ok()) this._showPreview(board);
+    return report;
+}
+Editor.prototype._check = function(board) {
+    var report = TBoard.Validator.validateBoard(board);
+    if (!board.title) report.error('title', 'should not be empty.');
+    return report;
+}
+Editor.prototype._showPreview = function(board) {
+    this._disposePreview();
+    var definition = toDescription(board).board;
+    if (definition.sentences && !definition.bottom) definition = new TBoard.SentenceBank().fill(definition);
+    this._preview = TBoard.Builder(definition, this._previewArea);
+}
+Editor.prototype._disposePreview = function() {
+    if (!this._preview) return;
+    for (var i = 0; i < this._preview.homes.length; i++) this._preview.homes[i].dispose();
+    this._preview.trash.dispose();
+    this._previewArea.removeChild(this._preview.board);
+    this._preview = null;
+}
+Editor.prototype._savePack = function() {
+    this._store.set('editor.pack', this._pack);
+    this._refreshPicker();
+    this._picker.value = this._find(this._board.id) == -1 ? '' : this._board.id;
+}
+Editor.prototype._save = function() {
+    var board = this._read();
+    if (!this._check(board).ok()) {
+        window.alert('This board has problems; they\'re listed under the form.');
+        return;
+    }
+    var idx = this._find(board.id);
+    if (idx == -1) this._pack.boards.push(board);
+    else this._pack.boards[idx] = board;
+    this._board = board;
+    this._savePack();
+    this._launcher.saveBoard(toDescription(board));
+}
+Editor.prototype._delete = function() {
+    var idx = this._find(this._board.id);
+    if (idx == -1 || !window.confirm('Delete ' + this._board.title + '?')) return;
+    this._pack.boards.splice(idx, 1);
+    this._launcher.removeBoard(this._board.id);
+    this._savePack();
+    this._pick('');
+}
+// Download the board as a pack file that can be loaded on another tablet.
+Editor.prototype._export = function() {
+    var board = this._read();
+    if (!this._check(board).ok()) {
+        window.alert('This board has problems; they\'re listed under the form.');
+        return;
+    }
+    var pack = emptyPack();
+    pack.title = board.title;
+    pack.boards.push(board);
+    TBoard.Dom.download((board.title.replace(/[^A-Za-z0-9]+/g, '-') || 'board') + '.json', 'application/json',
+                        JSON.stringify(pack, null, 4));
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Editor = Editor;
+})();
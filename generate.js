@@ -0,0 +1,212 @@
+// Generator: makes word-family boards from a set of letters.
+// Copyright 2013 (C) Ralph Thomas
+//
+// This only needs validate.js, so it works in the browser (as TBoard.Generator) and from
+// node. Run it directly to print a pack with one generated board:
+//
+//   node generate.js s,i,t,p,n > boards/sitpn.json
+//
+
+(function() {
+
+//
+// Decodable words for kindergarten and first grade: short vowels, blends, digraphs and the
+// common doubled endings. Callers can pass their own list instead.
+//
+var WORDS = (
+    'am an as at ax ' +
+    'bad bag ban bat cab can cap cat dad dam fan fat gap gas had ham has hat jam lab lad lap ' +
+    'mad man map mat nap pad pan pat rag ram ran rap rat sad sag sat tab tag tan tap van wag ' +
+    'bed beg bet den fed gem get hen jet led leg let men met net peg pen pet red set ten vet ' +
+    'web wet yes ' +
+    'if in is it ' +
+    'bib bid big bin bit dig dim dip fig fin fit hid him hip his hit jig kid kit lid lip lit ' +
+    'mix nip pig pin pit rib rid rip sip sit six tin tip win wig ' +
+    'on ox ' +
+    'bob cob cod cot dog dot fog fox got hog hop hot job jog log lot mop nod not pod pop pot ' +
+    'rod rot sob top tot ' +
+    'up us ' +
+    'bud bug bun bus but cub cup cut dug fun gum gut hug hum hut jug mud mug nut pup rub rug ' +
+    'run rut sub sum sun tub tug ' +
+    'back band bang camp cash clam clap crab damp fact fast flag flap flat glad gram grab hand ' +
+    'lamp land last mask mast pant past plan raft ramp sack sand sank scan slam slap ' +
+    'snap span spat stab stag tack tank task than that trap ' +
+    'bell belt bend best desk dent fell felt lend less mend mess nest pest rest send sled ' +
+    'slept spell step tent test vest went west ' +
+    'fist gift hint lift limp list milk mint mist pink sift silk sing skip slim slip slit ' +
+    'snip spin spit spot stick still stop swim this trim trip twig twin wind wing wish ' +
+    'bond clock crop drop frog from gasp lost plot pond pots shop shot slot stomp ' +
+    'trot ' +
+    'bump bust club drum dust gulp hunt jump just lump must plum plus pump rust skunk ' +
+    'slug snug spun stub stun stump trunk tusk ' +
+    'chat chap chin chip chop chug much rich such ' +
+    'ship shin shut shed fish dish rash mash dash gush rush hush lash shall ' +
+    'thin thud math path bath with then them moth ' +
+    'ring king song long hung lung rang sang ' +
+    'plant stamp stand grand blast clasp crash flash smash splat ' +
+    'blend crest spend spent swept ' +
+    'print split strip twist ' +
+    'blond frost ' +
+    'blunt brush crush crust shrub stunt thump trust ' +
+    'champ chest chill chimp chunk lunch bunch punch pinch ' +
+    'shelf shift shock shrug ' +
+    'thank think thick').split(' ');
+
+// How many rows to show for each length of word; more than a child would want to fill in
+// at once is more than the board has room for.
+var LEFT_ROWS = { 2: 2, 3: 3, 4: 2, 5: 1 };
+// The families with the most words go on the right, with a row for each length of onset.
+var RIGHT_ENTRIES = 4;
+var RIGHT_ROWS = 2;
+var MIN_LENGTH = 2;
+var MAX_LENGTH = 5;
+// Fewer words than this isn't enough for a board.
+var MIN_WORDS = 3;
+// How many sentences to ask for, when the sentence bank has that many that fit.
+var SENTENCES = 2;
+
+var Validator = typeof module != 'undefined' && module.exports ? require('./validate.js') : window.TBoard.Validator;
+var isArray = Validator.isArray;
+var blanks = Validator.blanks;
+var spellWith = Validator.spellWith;
+var isVowel = Validator.isVowel;
+
+// Letters can be a string ("sitpn"), a list of tiles, or tiles typed with commas or spaces
+// between them ("sh, i, p").
+function parseLetters(letters) {
+    if (isArray(letters)) return letters.slice();
+    letters = String(letters).replace(/^[\s,]+|[\s,]+$/g, '').toLowerCase();
+    if (/[\s,]/.test(letters)) return letters.split(/[\s,]+/);
+    return letters.split('');
+}
+
+//
+// Make a board definition (as Builder takes) out of the words that can be spelled with the
+// given letters. The left side has a row of blanks for each word length, and the right has
+// the biggest word families with the onset left blank ("_at", "__at"). Options:
+//
+//  words: the list of words to pick from (WORDS by default).
+//  title: the board's title (the letters by default).
+//
+// Returns null if the letters make fewer than MIN_WORDS words.
+//
+function generate(letters, options) {
+    options = options || {};
+    var tiles = parseLetters(letters);
+    var words = options.words || WORDS;
+    var multi = false;
+    for (var i = 0; i < tiles.length; i++)
+        if (tiles[i].length > 1) multi = true;
+
+    // Find every word we can make, by length in tiles.
+    var byLength = {};
+    var spelled = [];
+    var seen = {};
+    var used = {};
+    for (var i = 0; i < words.length; i++) {
+        var word = words[i].toLowerCase();
+        if (!word || seen.hasOwnProperty(word)) continue;
+        seen[word] = true;
+        var spelling = spellWith(word, tiles);
+        if (!spelling || spelling.length < MIN_LENGTH || spelling.length > MAX_LENGTH) continue;
+        if (!byLength[spelling.length]) byLength[spelling.length] = [];
+        byLength[spelling.length].push(word);
+        spelled.push(spelling);
+        for (var t = 0; t < spelling.length; t++) used[spelling[t]] = true;
+    }
+    if (spelled.length < MIN_WORDS) return null;
+
+    var left = [];
+    for (var n = MIN_LENGTH; n <= MAX_LENGTH; n++) {
+        if (!byLength[n]) continue;
+        var entry = { completions: byLength[n], word: blanks(n) };
+        if (byLength[n].length > LEFT_ROWS[n]) entry.limit = LEFT_ROWS[n];
+        left.push(entry);
+    }
+
+    // Group the words into families by their rime (everything from the first vowel on), and
+    // within a family by how many tiles the onset has, since each tile needs its own blank.
+    var families = {};
+    var order = [];
+    for (var i = 0; i < spelled.length; i++) {
+        var spelling = spelled[i];
+        var v = 0;
+        while (v < spelling.length && !isVowel(spelling[v])) v++;
+        if (v == 0 || v == spelling.length) continue;
+        var rime = spelling.slice(v).join('');
+        if (!families.hasOwnProperty(rime)) {
+            families[rime] = { rime: rime, index: order.length, size: 0, onsets: {} };
+            order.push(rime);
+        }
+        var family = families[rime];
+        family.size++;
+        if (!family.onsets[v]) family.onsets[v] = [];
+        family.onsets[v].push(spelling.slice(0, v).join(''));
+    }
+    // Bigger families first; a family of one word isn't a family.
+    order.sort(function(a, b) { return families[b].size - families[a].size || families[a].index - families[b].index; });
+    var right = [];
+    for (var i = 0; i < order.length; i++) {
+        var family = families[order[i]];
+        if (family.size < 2) break;
+        for (var v = 1; v <= MAX_LENGTH && right.length < RIGHT_ENTRIES; v++) {
+            var onsets = family.onsets[v];
+            if (!onsets) continue;
+            var entry = { completions: onsets, word: blanks(v) + family.rime };
+            if (onsets.length > RIGHT_ROWS) entry.limit = RIGHT_ROWS;
+            right.push(entry);
+        }
+    }
+
+    // Leave out letters that no word uses, so that they don't get in the way.
+    var boardLetters = [];
+    for (var i = 0; i < tiles.length; i++)
+        if (used.hasOwnProperty(tiles[i]) && boardLetters.indexOf(tiles[i]) == -1) boardLetters.push(tiles[i]);
+
+    var board = {
+        title: options.title || tiles.join(multi ? ' ' : ''),
+        letters: multi ? boardLetters : boardLetters.join(''),
+        left: left
+    };
+    if (right.length) board.right = right;
+    // The sentences come from the sentence bank when the board is opened (see sentences.js),
+    // if it has any that fit.
+    var bank = sentenceBank();
+    var sentences = bank ? bank.fill(board, { count: SENTENCES }).bottom : null;
+    if (sentences) board.sentences = { count: sentences.length, rotate: true };
+    return board;
+}
+// The sentence bank, if it's been loaded.
+function sentenceBank() {
+    if (typeof module != 'undefined' && module.exports) return new (require('./sentences.js'))();
+    return window.TBoard.SentenceBank ? new window.TBoard.SentenceBank() : null;
+}
+
+var Generator = {
+    WORDS: WORDS,
+    parseLetters: parseLetters,
+    generate: generate
+};
+
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = Generator;
+    if (require.main === module) {
+        var args = process.argv.slice(2);
+        if (args.length == 0) {
+            // Anything but the pack goes to stderr, so that it can't end up in the file.
+            console.error('usage: node generate.js letters [title]');
+            process.exit(2);
+        }
+        var board = generate(args[0], { title: args[1] });
+        if (!board) {
+            console.error('"' + args[0] + '" doesn\'t make enough words for a board.');
+            process.exit(1);
+        }
+        var pack = { format: 'tboard-pack', version: 1, title: board.title, boards: [board] };
+        console.log(JSON.stringify(pack, null, 4));
+    }
+} else {
+    if (!window.TBoard) window.TBoard = {};
+    window.TBoard.Generator = Generator;
+}
+})();
@@ -0,0 +1,204 @@
+// Hints: helps a child who's stuck on a board.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+// How many wrong or repeated words, or how long without doing anything on the board, before
+// the hint button shows up, unless the store says otherwise.
+var ATTEMPTS = 3;
+var IDLE_TIME = 30000;
+
+//
+// Hints puts a hint button on each board once a child seems to be stuck: after a few words
+// that are wrong or already used, or a while without moving a letter, clearing the board or
+// pressing a key. The first hint for a row lights up the letter that goes in its next blank,
+// and the blank. Asking again for the same row shows the whole word faintly in its homes,
+// except on dictation boards (see dictation.js) where that would give the answer away. Each
+// hint is recorded against the board in the current child's profile (if there's a picker),
+// so teachers can see who needed help.
+//
+function Hints(store, picker) {
+    this._store = store || new TBoard.Store();
+    this._picker = picker || null;
+}
+Hints.prototype.attempts = function() { return this._store.get('hints.attempts', ATTEMPTS); }
+Hints.prototype.idleTime = function() { return this._store.get('hints.idle', IDLE_TIME); }
+// How many hints a child has had on each board, as { boardId: count }. This is for the
+// current child unless a profile is given.
+Hints.prototype.usage = function(profile) {
+    profile = profile || (this._picker && this._picker.current());
+    return profile ? profile.store().get('hints', {}) : {};
+}
+Hints.prototype._record = function(boardId) {
+    var profile = this._picker && this._picker.current();
+    if (!profile) return;
+    var usage = profile.store().get('hints', {});
+    usage[boardId] = (usage[boardId] || 0) + 1;
+    profile.store().set('hints', usage);
+    profile.addHistory('hint', boardId);
+}
+// Make an observer for Launcher.addObserver.
+// Challenge boards (see challenge.js) are a race, so they don't get hints.
+Hints.prototype.observer = function(desc) {
+    if (desc.board && desc.board.challenge) return null;
+    return new BoardHints(this, desc.id || desc.title, desc.board && desc.board.dictation ? 1 : 2);
+}
+
+//
+// BoardHints gives the hints for one open board.
+//
+function BoardHints(hints, boardId, maxLevel) {
+    this._hints = hints;
+    this._boardId = boardId;
+    this._maxLevel = maxLevel || 2;
+    this._attached = false;
+    this._failures = 0;
+    this._timer = null;
+    // How many hints each row has had, by group id, and the faint words being shown.
+    this._levels = {};
+    this._ghosts = {};
+    // The respawner and home lit up by the last hint.
+    this._marked = [];
+}
+BoardHints.prototype.attach = function(items) {
+    this._items = items;
+    var self = this;
+    this._button = TBoard.Dom.button('hint-button', '?', function() { self.hint(); });
+    this._button.setAttribute('aria-label', 'Hint');
+    items.board.appendChild(this._button);
+    // Using the keyboard (see keyboard.js) counts as doing something.
+    this._onKey = function() { if (self._attached) self._resetIdle(); };
+    document.addEventListener('keydown', this._onKey, true);
+    items.on('letterpickedup', function(letter) { self._letterPickedUp(letter); });
+    items.on('letterplaced', function(letter, from, to) { self._letterPlaced(letter, from, to); });
+    items.on('letterdeleted', function(letter, from) { self._letterDeleted(letter, from); });
+    items.on('movesstarted', function() { self._movesStarted(); });
+    items.on('groupcomplete', function(group) { self._groupComplete(group); });
+    items.on('groupduplicate', function(group) { self._groupDuplicate(group); });
+    items.on('groupunmatched', function(group) { self._groupUnmatched(group); });
+    this._attached = true;
+    this._setAvailable(false);
+    this._resetIdle();
+}
+BoardHints.prototype.detach = function() {
+    this._attached = false;
+    document.removeEventListener('keydown', this._onKey, true);
+    if (this._timer) window.clearTimeout(this._timer);
+    this._timer = null;
+}
+BoardHints.prototype.isAvailable = function() { return this._available; }
+BoardHints.prototype._setAvailable = function(available) {
+    this._available = available;
+    if (available) this._button.classList.add('available');
+    else this._button.classList.remove('available');
+    this._button.setAttribute('aria-hidden', available ? 'false' : 'true');
+    this._button.tabIndex = available ? 0 : -1;
+}
+BoardHints.prototype._resetIdle = function() {
+    if (this._timer) window.clearTimeout(this._timer);
+    var self = this;
+    this._timer = window.setTimeout(function() {
+        self._timer = null;
+        if (self._attached) self._setAvailable(true);
+    }, this._hints.idleTime());
+}
+BoardHints.prototype._failed = function() {
+    if (!this._attached) return;
+    if (++this._failures >= this._hints.attempts()) this._setAvailable(true);
+}
+// Give the next hint: more help for the row that had the last one if it's still not done,
+// otherwise the first hint for the first row that isn't done.
+BoardHints.prototype.hint = function() {
+    if (!this._attached || !this._available) return;
+    var groups = this._items.groups;
+    var group = null;
+    for (var i = 0; i < groups.length && !group; i++)
+        if (this._levels[groups[i].id] && this._needsHint(groups[i])) group = groups[i];
+    for (var i = 0; i < groups.length && !group; i++)
+        if (this._needsHint(groups[i])) group = groups[i];
+    if (!group) return;
+
+    var suggestion = group.suggestion();
+    var level = this._levels[group.id] = Math.min((this._levels[group.id] || 0) + 1, this._maxLevel);
+    this._unmark();
+    if (level == 1) this._showNextLetter(group, suggestion);
+    else this._showWord(group, suggestion);
+
+    this._failures = 0;
+    this._setAvailable(false);
+    this._resetIdle();
+    this._hints._record(this._boardId);
+}
+// Rows that can't take letters yet (like the later words on a dictation board) don't get hints.
+BoardHints.prototype._needsHint = function(group) {
+    var homes = group.homes();
+    if (homes.length && !homes[0].isEnabled()) return false;
+    return group.state() != 'correct' && !!group.suggestion();
+}
+// Light up the first blank (or wrong letter) and the respawner with the letter for it.
+BoardHints.prototype._showNextLetter = function(group, suggestion) {
+    var homes = group.homes();
+    for (var i = 0; i < homes.length; i++) {
+        if (homes[i].text() == suggestion[i]) continue;
+        this._mark(homes[i].element());
+        var respawners = this._items.respawners;
+        for (var r = 0; r < respawners.length; r++)
+            if (respawners[r].text() == suggestion[i]) this._mark(respawners[r].home().element());
+        return;
+    }
+}
+// Show the whole word faintly underneath the letters.
+BoardHints.prototype._showWord = function(group, suggestion) {
+    this._removeWord(group);
+    var homes = group.homes();
+    var ghosts = [];
+    for (var i = 0; i < homes.length; i++) {
+        var ghost = document.createElement('span');
+        ghost.className = 'hint-ghost';
+        ghost.textContent = suggestion[i];
+        ghost.setAttribute('aria-hidden', 'true');
+        homes[i].element().appendChild(ghost);
+        ghosts.push(ghost);
+    }
+    this._ghosts[group.id] = ghosts;
+}
+BoardHints.prototype._removeWord = function(group) {
+    var ghosts = this._ghosts[group.id];
+    if (!ghosts) return;
+    for (var i = 0; i < ghosts.length; i++)
+        if (ghosts[i].parentNode) ghosts[i].parentNode.removeChild(ghosts[i]);
+    delete this._ghosts[group.id];
+}
+BoardHints.prototype._mark = function(element) {
+    element.classList.add('hint');
+    this._marked.push(element);
+}
+BoardHints.prototype._unmark = function() {
+    for (var i = 0; i < this._marked.length; i++) this._marked[i].classList.remove('hint');
+    this._marked = [];
+}
+BoardHints.prototype._letterPickedUp = function(letter) { if (this._attached) this._resetIdle(); }
+BoardHints.prototype._letterDeleted = function(letter, from) { if (this._attached) this._resetIdle(); }
+// Clearing, undoing and redoing move letters without picking them up.
+BoardHints.prototype._movesStarted = function() { if (this._attached) this._resetIdle(); }
+BoardHints.prototype._letterPlaced = function(letter, from, to) {
+    if (!this._attached) return;
+    this._unmark();
+    this._resetIdle();
+}
+// Getting a word right means they're not stuck any more.
+BoardHints.prototype._groupComplete = function(group) {
+    if (!this._attached) return;
+    this._removeWord(group);
+    delete this._levels[group.id];
+    this._failures = 0;
+    this._setAvailable(false);
+}
+BoardHints.prototype._groupDuplicate = function(group) { this._failed(); }
+BoardHints.prototype._groupUnmatched = function(group) {
+    if (group.isFull()) this._failed();
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Hints = Hints;
+})();
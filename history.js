@@ -0,0 +1,128 @@
+// MoveHistory: undo and redo for letter moves on a board.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+//
+// MoveHistory is a board observer (see Launcher.addObserver) that records every letter that
+// lands in a home, whether it was dragged or moved with Letter.moveTo, and puts undo and redo
+// buttons on the board. Undoing moves the letter back with Letter.moveTo, so the homes' groups
+// get validated and their CompletionSets kept up to date just as if it had been dragged.
+//
+// Each entry in the history is a list of moves, { letter, from, to }, so that something
+// that moves several letters at once (like clearing the board) can be undone in one go.
+//
+function MoveHistory() {
+    this._undo = [];
+    this._redo = [];
+    this._respawners = [];
+    this._attached = false;
+    this._applying = false;
+    this._batch = null;
+}
+MoveHistory.prototype.attach = function(items) {
+    this._respawners = items.respawners;
+    var self = this;
+    function button(className, html, label, fn) {
+        var b = document.createElement('div');
+        b.className = className;
+        b.innerHTML = html;
+        b.setAttribute('role', 'button');
+        b.setAttribute('aria-label', label);
+        function tap(e) {
+            e.stopPropagation();
+            e.preventDefault();
+            fn();
+        }
+        b.addEventListener('touchend', tap, false);
+        b.addEventListener('click', tap, false);
+        items.board.appendChild(b);
+        return b;
+    }
+    this._undoButton = button('undo-button', '&#x21b6;', 'Undo', function() { self.undo(); });
+    this._redoButton = button('redo-button', '&#x21b7;', 'Redo', function() { self.redo(); });
+    items.on('letterplaced', function(letter, from, to) { self._letterPlaced(letter, from, to); });
+    items.on('letterdeleted', function(letter, from) { self._letterDeleted(letter, from); });
+    items.on('movesstarted', function() { self._movesStarted(); });
+    items.on('movesended', function() { self._movesEnded(); });
+    this._attached = true;
+    this._updateButtons();
+}
+MoveHistory.prototype.detach = function() {
+    this._attached = false;
+}
+MoveHistory.prototype.canUndo = function() { return this._undo.length > 0; }
+MoveHistory.prototype.canRedo = function() { return this._redo.length > 0; }
+MoveHistory.prototype._letterPlaced = function(letter, from, to) {
+    if (!this._attached || this._applying || !from || from == to) return;
+    var move = { letter: letter, from: from, to: to };
+    if (this._batch) this._batch.push(move);
+    else this.record([move]);
+}
+// A letter in the trash is as good as back in its respawner, since they're all alike; record
+// it that way so that undoing brings a letter back out.
+MoveHistory.prototype._letterDeleted = function(letter, from) {
+    if (letter.origin && letter.origin != from) this._letterPlaced(letter, from, letter.origin);
+}
+MoveHistory.prototype._movesStarted = function() {
+    if (!this._applying) this._batch = [];
+}
+MoveHistory.prototype._movesEnded = function() {
+    if (!this._batch) return;
+    var moves = this._batch;
+    this._batch = null;
+    if (moves.length) this.record(moves);
+}
+// Add an entry; anything that could have been redone is forgotten.
+MoveHistory.prototype.record = function(moves) {
+    this._undo.push(moves);
+    this._redo = [];
+    this._updateButtons();
+}
+MoveHistory.prototype.undo = function() {
+    if (!this._undo.length) return;
+    var moves = this._undo.pop();
+    this._applying = true;
+    for (var i = moves.length - 1; i >= 0; i--) this._move(moves[i], moves[i].to, moves[i].from);
+    this._applying = false;
+    this._redo.push(moves);
+    this._updateButtons();
+}
+MoveHistory.prototype.redo = function() {
+    if (!this._redo.length) return;
+    var moves = this._redo.pop();
+    this._applying = true;
+    for (var i = 0; i < moves.length; i++) this._move(moves[i], moves[i].from, moves[i].to);
+    this._applying = false;
+    this._undo.push(moves);
+    this._updateButtons();
+}
+MoveHistory.prototype._respawnerFor = function(home) {
+    for (var i = 0; i < this._respawners.length; i++)
+        if (this._respawners[i].home() == home) return this._respawners[i];
+    return null;
+}
+MoveHistory.prototype._move = function(move, from, to) {
+    var letter = move.letter;
+    // A respawner only holds one letter and throws the old one away when another comes back,
+    // so the letter we recorded may have gone. Its letters are all alike, so take whichever
+    // one it has now.
+    var respawner = this._respawnerFor(from);
+    if (respawner) letter = respawner.letter();
+    if (!letter || letter.isRemoved() || letter.home() != from) return;
+    move.letter = letter;
+    letter.moveTo(to, true);
+}
+MoveHistory.prototype._updateButtons = function() {
+    if (!this._undoButton) return;
+    if (this.canUndo()) this._undoButton.classList.remove('disabled');
+    else this._undoButton.classList.add('disabled');
+    if (this.canRedo()) this._redoButton.classList.remove('disabled');
+    else this._redoButton.classList.add('disabled');
+    this._undoButton.setAttribute('aria-disabled', this.canUndo() ? 'false' : 'true');
+    this._redoButton.setAttribute('aria-disabled', this.canRedo() ? 'false' : 'true');
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.MoveHistory = MoveHistory;
+})();
@@ -0,0 +1,441 @@
+// KeyboardAccess: plays a board with a keyboard or a switch instead of dragging.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+var KEY = { BACKSPACE: 8, ENTER: 13, SPACE: 32, LEFT: 37, UP: 38, RIGHT: 39, DOWN: 40, DELETE: 46 };
+// Two keys typed this close together can make one tile, like "s" then "h" for "sh".
+var TILE_KEY_TIME = 1000;
+// How long each item stays highlighted when scanning, unless the store says otherwise.
+var SCAN_INTERVAL = 1500;
+// Scanning goes back up a level after going round this many times without a press.
+var SCAN_ROUNDS = 2;
+
+// The text typed by a key, or null for keys that don't type anything.
+function keyText(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return null;
+    if (e.key && e.key.length == 1) return e.key.toLowerCase();
+    if (e.keyCode >= 65 && e.keyCode <= 90) return String.fromCharCode(e.keyCode).toLowerCase();
+    return null;
+}
+
+//
+// KeyboardAccess makes the homes and respawners of each board focusable. Typing a letter
+// puts it in the focused home and moves on to the next one, Backspace sends letters back,
+// the left and right arrows move between homes and up and down move between groups.
+// Enter or Space on a respawner puts its letter in the last home that had focus.
+//
+// For children who use a single switch (which usually presses Space or Enter) there's a
+// scan mode: the groups are highlighted in turn, and pressing the switch picks the one
+// that's highlighted. Then its homes are scanned, and then the letters, so that it takes
+// three presses to place a letter. The trash comes after the letters, to empty the home.
+// While no board is open, the buttons on the screen on top (see addScreen), like the
+// launcher tiles or the profiles, are scanned instead. Scan mode is remembered in the store.
+//
+function KeyboardAccess(store) {
+    this._store = store || new TBoard.Store();
+    this._scanning = this._store.get('access.scan', false);
+    this._scanButtons = [];
+    this._screens = [];
+    this._boardOpen = false;
+    this._screenScan = null;
+}
+KeyboardAccess.prototype.scanning = function() { return this._scanning; }
+KeyboardAccess.prototype.setScanning = function(scanning) {
+    this._scanning = scanning;
+    this._store.set('access.scan', scanning);
+    for (var i = 0; i < this._scanButtons.length; i++) this._updateScanButton(this._scanButtons[i]);
+    this._updateScreenScan();
+}
+KeyboardAccess.prototype.scanInterval = function() { return this._store.get('access.scanInterval', SCAN_INTERVAL); }
+// Make a button that turns scan mode on and off.
+KeyboardAccess.prototype.scanButton = function() {
+    var button = document.createElement('div');
+    button.className = 'scan-button';
+    button.tabIndex = 0;
+    button.setAttribute('role', 'button');
+    button.setAttribute('aria-label', 'Switch scanning');
+    var self = this;
+    function toggle(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        self.setScanning(!self._scanning);
+    }
+    button.addEventListener('touchend', toggle, false);
+    button.addEventListener('click', toggle, false);
+    this._scanButtons.push(button);
+    this._updateScanButton(button);
+    return button;
+}
+KeyboardAccess.prototype._updateScanButton = function(button) {
+    button.innerHTML = '&#x25ce;';
+    button.setAttribute('aria-pressed', this._scanning ? 'true' : 'false');
+    if (this._scanning) button.classList.add('on');
+    else button.classList.remove('on');
+}
+// Add a screen to scan when no board is open. Screens added later are on top of the ones
+// before them, and a screen is only scanned while it's showing, which is when its pointer
+// events haven't been turned off.
+KeyboardAccess.prototype.addScreen = function(element) {
+    this._screens.push(element);
+    this._updateScreenScan();
+}
+KeyboardAccess.prototype._setBoardOpen = function(open) {
+    this._boardOpen = open;
+    this._updateScreenScan();
+}
+KeyboardAccess.prototype._updateScreenScan = function() {
+    var scan = this._scanning && !this._boardOpen && this._screens.length > 0;
+    if (scan && !this._screenScan) {
+        this._screenScan = new ScreenScan(this);
+    } else if (!scan && this._screenScan) {
+        this._screenScan.stop();
+        this._screenScan = null;
+    }
+}
+// Make an observer for Launcher.addObserver.
+KeyboardAccess.prototype.observer = function(desc) {
+    return new BoardKeyboard(this);
+}
+
+//
+// BoardKeyboard handles the keys for one open board.
+//
+function BoardKeyboard(access) {
+    this._access = access;
+    this._items = null;
+    this._target = null;
+    this._lastKey = null;
+    this._scan = null;
+    var self = this;
+    this._keydown = function(e) { self._onKeyDown(e); };
+    this._focus = function(e) { self._onFocus(e); };
+}
+BoardKeyboard.prototype.attach = function(items) {
+    this._items = items;
+    this._homes = [];
+    for (var g = 0; g < items.groups.length; g++) {
+        var homes = items.groups[g].homes();
+        for (var h = 0; h < homes.length; h++) {
+            homes[h].element().tabIndex = 0;
+            this._homes.push({ home: homes[h], group: g, index: h });
+        }
+    }
+    for (var i = 0; i < items.respawners.length; i++) {
+        var element = items.respawners[i].home().element();
+        element.tabIndex = 0;
+        element.title = items.respawners[i].text();
+    }
+    document.addEventListener('keydown', this._keydown, false);
+    items.board.addEventListener('focus', this._focus, true);
+    this._access._setBoardOpen(true);
+    if (this._access.scanning()) this._startScan();
+    else this._focusHome(this._firstEmpty(0));
+}
+BoardKeyboard.prototype.detach = function() {
+    document.removeEventListener('keydown', this._keydown, false);
+    this._items.board.removeEventListener('focus', this._focus, true);
+    this._stopScan();
+    this._access._setBoardOpen(false);
+}
+BoardKeyboard.prototype._entry = function(element) {
+    for (var i = 0; i < this._homes.length; i++)
+        if (this._homes[i].home.element() == element) return i;
+    return -1;
+}
+BoardKeyboard.prototype._respawnerAt = function(element) {
+    var respawners = this._items.respawners;
+    for (var i = 0; i < respawners.length; i++)
+        if (respawners[i].home().element() == element) return respawners[i];
+    return null;
+}
+BoardKeyboard.prototype._respawnerFor = function(text) {
+    var respawners = this._items.respawners;
+    for (var i = 0; i < respawners.length; i++)
+        if (respawners[i].text().toLowerCase() == text) return respawners[i];
+    return null;
+}
+// Remember the last home that had focus, for Enter on a respawner and for typing when the
+// focus is somewhere else.
+BoardKeyboard.prototype._onFocus = function(e) {
+    var idx = this._entry(e.target);
+    if (idx != -1) this._target = idx;
+}
+// Homes that are turned off (see Home.setEnabled) are skipped over in the direction of step.
+BoardKeyboard.prototype._focusHome = function(idx, step) {
+    while (idx >= 0 && idx < this._homes.length && !this._enabled(idx)) idx += step || 1;
+    if (idx < 0 || idx >= this._homes.length) return;
+    this._target = idx;
+    this._homes[idx].home.element().focus();
+}
+BoardKeyboard.prototype._enabled = function(idx) { return this._homes[idx].home.isEnabled(); }
+// The index of the first empty home from the given one on, or the given one if they're all
+// full.
+BoardKeyboard.prototype._firstEmpty = function(from) {
+    for (var i = from; i < this._homes.length; i++)
+        if (this._enabled(i) && this._homes[i].home.isEmpty()) return i;
+    return from;
+}
+// The index of the first home in the group before (-1) or after (1) the given home's.
+BoardKeyboard.prototype._groupStep = function(idx, step) {
+    var group = this._homes[idx].group + step;
+    while (group >= 0 && group < this._items.groups.length && !this._groupEnabled(group)) group += step;
+    if (group < 0 || group >= this._items.groups.length) return idx;
+    for (var i = 0; i < this._homes.length; i++) {
+        if (this._homes[i].group == group) {
+            // Start at the first empty home of the group, if there is one.
+            for (var j = i; j < this._homes.length && this._homes[j].group == group; j++)
+                if (this._homes[j].home.isEmpty()) return j;
+            return i;
+        }
+    }
+    return idx;
+}
+BoardKeyboard.prototype._groupEnabled = function(group) {
+    var homes = this._items.groups[group].homes();
+    return homes.length > 0 && homes[0].isEnabled();
+}
+BoardKeyboard.prototype._onKeyDown = function(e) {
+    if (this._scan) {
+        if (e.keyCode == KEY.SPACE || e.keyCode == KEY.ENTER) {
+            e.preventDefault();
+            this._scanSelect();
+        }
+        return;
+    }
+    if (!this._homes.length) return;
+    var focused = document.activeElement;
+    var idx = this._entry(focused);
+    var respawner = idx == -1 ? this._respawnerAt(focused) : null;
+    var target = idx != -1 ? idx : this._target;
+    if (target === null || !this._enabled(target)) target = this._firstEmpty(0);
+
+    switch (e.keyCode) {
+    case KEY.LEFT: this._focusHome(target - 1, -1); break;
+    case KEY.RIGHT: this._focusHome(target + 1, 1); break;
+    case KEY.UP: this._focusHome(this._groupStep(target, -1)); break;
+    case KEY.DOWN: this._focusHome(this._groupStep(target, 1)); break;
+    case KEY.BACKSPACE:
+        // Empty the focused home, or if it's empty then the one before it, like deleting text.
+        if (this._homes[target].home.isEmpty() && target > 0 && this._homes[target - 1].group == this._homes[target].group)
+            target--;
+        this._remove(target);
+        this._focusHome(target);
+        break;
+    case KEY.DELETE: this._remove(target); break;
+    case KEY.ENTER:
+    case KEY.SPACE:
+        if (!respawner) return;
+        this._place(respawner, target);
+        break;
+    default:
+        var text = keyText(e);
+        if (!text || !this._type(text, target)) return;
+    }
+    e.preventDefault();
+}
+BoardKeyboard.prototype._remove = function(idx) {
+    if (!this._enabled(idx)) return;
+    var letters = this._homes[idx].home.letters();
+    if (letters.length) letters[0].returnToOrigin();
+}
+// Put the respawner's letter in a home and move on to the next empty home in the group.
+BoardKeyboard.prototype._place = function(respawner, idx) {
+    // Boards with only so many of each letter can run out.
+    if (!respawner.letter() || !this._enabled(idx)) return;
+    respawner.letter().place(this._homes[idx].home);
+    var next = idx;
+    while (next < this._homes.length && this._homes[next].group == this._homes[idx].group && !this._homes[next].home.isEmpty())
+        next++;
+    if (next >= this._homes.length || this._homes[next].group != this._homes[idx].group) next = idx;
+    this._focusHome(next);
+}
+// Type a letter. If it and the one typed just before it make a tile (like "sh") then that
+// tile replaces the letter that was typed before.
+BoardKeyboard.prototype._type = function(text, idx) {
+    var now = new Date().getTime();
+    var last = this._lastKey;
+    this._lastKey = null;
+    if (last && now - last.time < TILE_KEY_TIME) {
+        var respawner = this._respawnerFor(last.text + text);
+        if (respawner) {
+            this._place(respawner, last.home);
+            return true;
+        }
+    }
+    var respawner = this._respawnerFor(text);
+    if (!respawner) return false;
+    this._lastKey = { text: text, home: idx, time: now };
+    this._place(respawner, idx);
+    return true;
+}
+
+//
+// Scanning goes through three levels: groups, then the homes of the picked group, then the
+// letters (and the trash) to put in the picked home.
+//
+BoardKeyboard.prototype._startScan = function() {
+    this._scan = { level: 'groups', items: this._scanItems('groups'), index: -1, rounds: 0, timer: null, group: null, home: null };
+    this._scanNext();
+}
+BoardKeyboard.prototype._stopScan = function() {
+    if (!this._scan) return;
+    this._scanHighlight(false);
+    this._scanMark(null);
+    window.clearTimeout(this._scan.timer);
+    this._scan = null;
+}
+BoardKeyboard.prototype._scanItems = function(level) {
+    var items = [];
+    if (level == 'groups') {
+        for (var g = 0; g < this._items.groups.length; g++)
+            if (this._groupEnabled(g)) items.push({ element: this._items.groups[g].element, group: g });
+    } else if (level == 'homes') {
+        for (var i = 0; i < this._homes.length; i++)
+            if (this._homes[i].group == this._scan.group && this._enabled(i)) items.push({ element: this._homes[i].home.element(), home: i });
+    } else {
+        var respawners = this._items.respawners;
+        for (var i = 0; i < respawners.length; i++)
+            items.push({ element: respawners[i].home().element(), respawner: respawners[i] });
+        items.push({ element: this._items.board.querySelector('.trash'), trash: true });
+    }
+    return items;
+}
+BoardKeyboard.prototype._scanHighlight = function(on) {
+    var item = this._scan.items[this._scan.index];
+    if (!item) return;
+    if (on) item.element.classList.add('scan-focus');
+    else item.element.classList.remove('scan-focus');
+}
+// Mark the home that the letters are being scanned for.
+BoardKeyboard.prototype._scanMark = function(idx) {
+    var scan = this._scan;
+    if (scan.home != null) this._homes[scan.home].home.element().classList.remove('scan-target');
+    scan.home = idx;
+    if (idx != null) this._homes[idx].home.element().classList.add('scan-target');
+}
+BoardKeyboard.prototype._scanNext = function() {
+    var scan = this._scan;
+    this._scanHighlight(false);
+    scan.index++;
+    if (scan.index >= scan.items.length) {
+        scan.index = 0;
+        scan.rounds++;
+        // Nobody picked anything, so go back up to the groups.
+        if (scan.rounds >= SCAN_ROUNDS && scan.level != 'groups') {
+            this._scanLevel('groups');
+            return;
+        }
+    }
+    this._scanHighlight(true);
+    var self = this;
+    window.clearTimeout(scan.timer);
+    scan.timer = window.setTimeout(function() { self._scanNext(); }, this._access.scanInterval());
+}
+BoardKeyboard.prototype._scanLevel = function(level) {
+    this._scanHighlight(false);
+    if (level != 'letters') this._scanMark(null);
+    this._scan.level = level;
+    this._scan.items = this._scanItems(level);
+    this._scan.index = -1;
+    this._scan.rounds = 0;
+    this._scanNext();
+}
+BoardKeyboard.prototype._scanSelect = function() {
+    var scan = this._scan;
+    if (!scan) return;
+    var item = scan.items[scan.index];
+    if (!item) return;
+    if (scan.level == 'groups') {
+        scan.group = item.group;
+        this._scanLevel('homes');
+    } else if (scan.level == 'homes') {
+        this._scanMark(item.home);
+        this._scanLevel('letters');
+    } else {
+        if (item.trash) this._remove(scan.home);
+        else if (item.respawner.letter()) item.respawner.letter().place(this._homes[scan.home].home);
+        // Carry on with the next empty home of the same group, if there is one.
+        var next = -1;
+        for (var i = 0; i < this._homes.length; i++)
+            if (this._homes[i].group == scan.group && this._homes[i].home.isEmpty() && next == -1) next = i;
+        if (next == -1) {
+            this._scanLevel('groups');
+            return;
+        }
+        this._scanMark(next);
+        this._scanLevel('letters');
+    }
+}
+
+//
+// ScreenScan highlights each button on the screen on top in turn, and the switch presses the
+// highlighted one. The buttons are looked up again at each step, since picking one can
+// change what's on the screen (or which screen is on top).
+//
+function ScreenScan(access) {
+    this._access = access;
+    this._current = null;
+    this._timer = null;
+    var self = this;
+    // Listen before anything else does, so that the switch doesn't also press whatever has
+    // the focus.
+    this._keydown = function(e) {
+        if (e.keyCode != KEY.SPACE && e.keyCode != KEY.ENTER) return;
+        e.stopPropagation();
+        e.preventDefault();
+        self._select();
+    };
+    document.addEventListener('keydown', this._keydown, true);
+    this._next();
+}
+ScreenScan.prototype.stop = function() {
+    document.removeEventListener('keydown', this._keydown, true);
+    window.clearTimeout(this._timer);
+    this._highlight(false);
+    this._current = null;
+}
+ScreenScan.prototype._screen = function() {
+    var screens = this._access._screens;
+    for (var i = screens.length - 1; i >= 0; i--)
+        if (screens[i].style.pointerEvents != 'none') return screens[i];
+    return null;
+}
+ScreenScan.prototype._buttons = function() {
+    var screen = this._screen();
+    if (!screen) return [];
+    var found = screen.querySelectorAll('[role=button]');
+    var buttons = [];
+    for (var i = 0; i < found.length; i++)
+        if (found[i].getAttribute('aria-hidden') != 'true') buttons.push(found[i]);
+    return buttons;
+}
+ScreenScan.prototype._highlight = function(on) {
+    if (!this._current) return;
+    if (on) this._current.classList.add('scan-focus');
+    else this._current.classList.remove('scan-focus');
+}
+ScreenScan.prototype._next = function() {
+    this._highlight(false);
+    var buttons = this._buttons();
+    var idx = buttons.indexOf(this._current) + 1;
+    this._current = buttons.length ? buttons[idx % buttons.length] : null;
+    this._highlight(true);
+    var self = this;
+    window.clearTimeout(this._timer);
+    this._timer = window.setTimeout(function() { self._next(); }, this._access.scanInterval());
+}
+ScreenScan.prototype._select = function() {
+    var button = this._current;
+    if (!button) return;
+    this._highlight(false);
+    this._current = null;
+    window.clearTimeout(this._timer);
+    button.click();
+    // Opening a board stops this scan; anything else carries on from the start of the screen.
+    if (this._access._screenScan == this) this._next();
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.KeyboardAccess = KeyboardAccess;
+})();
@@ -40,6 +40,85 @@ var events = {};
 //
 
 var id = new FirminCSSMatrix();
+
+//
+// Events: homes, letters, groups, the trash, the boards that Builder makes and the launcher
+// all have on(name, fn), which adds a listener and returns a function that removes it again,
+// and off(name, fn). Each event can have any number of listeners. Events.mixin adds them to
+// another prototype.
+//
+function Events() {}
+Events.prototype.on = function(name, fn) {
+    if (!this._listeners) this._listeners = {};
+    if (!this._listeners[name]) this._listeners[name] = [];
+    this._listeners[name].push(fn);
+    var self = this;
+    return function() { self.off(name, fn); };
+}
+Events.prototype.off = function(name, fn) {
+    var listeners = this._listeners && this._listeners[name];
+    if (!listeners) return;
+    var idx = listeners.indexOf(fn);
+    if (idx != -1) listeners.splice(idx, 1);
+}
+Events.prototype.emit = function(name) {
+    var listeners = this._listeners && this._listeners[name];
+    if (!listeners) return;
+    var args = Array.prototype.slice.call(arguments, 1);
+    // Copy the list, so that listeners can come and go while it's being sent.
+    listeners = listeners.slice(0);
+    for (var i = 0; i < listeners.length; i++) listeners[i].apply(this, args);
+}
+Events.mixin = function(proto) {
+    proto.on = Events.prototype.on;
+    proto.off = Events.prototype.off;
+    proto.emit = Events.prototype.emit;
+}
+
+//
+// Dom has the little helpers that the screens, buttons and overlays around the boards are
+// made with. tap calls fn for a touch, a click, or Enter or Space while the element has the
+// focus, and stops the event there so that it doesn't also reach the board underneath.
+//
+var Dom = {
+    element: function(tag, className, text) {
+        var e = document.createElement(tag);
+        if (className) e.className = className;
+        if (text) e.textContent = text;
+        return e;
+    },
+    tap: function(element, fn) {
+        function tap(e) {
+            e.stopPropagation();
+            e.preventDefault();
+            fn();
+        }
+        element.addEventListener('touchend', tap, false);
+        element.addEventListener('click', tap, false);
+        element.addEventListener('keydown', function(e) {
+            if (e.keyCode == 13 || e.keyCode == 32) tap(e);
+        }, false);
+    },
+    button: function(className, html, fn) {
+        var b = Dom.element('div', className);
+        b.innerHTML = html;
+        b.tabIndex = 0;
+        b.setAttribute('role', 'button');
+        Dom.tap(b, fn);
+        return b;
+    },
+    // Save text as a file, for exports.
+    download: function(filename, type, text) {
+        var a = document.createElement('a');
+        a.download = filename;
+        a.href = 'data:' + type + ';charset=utf-8,' + encodeURIComponent(text);
+        a.target = '_blank';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+    }
+};
+
 //
 // An array of all the live home instances. We iterate these to update them when the document gets resized.
 //
@@ -61,13 +140,18 @@ function removeHomeInstance(home) {
     if (idx != -1) homeInstances.splice(idx, 1);
 }
 
-function findNearestHome(x, y, maxDistance) {
+// Find the nearest empty home, or with includeOccupied the nearest home that isn't a
+// respawner whether it has a letter or not.
+function findNearestHome(x, y, maxDistance, includeOccupied) {
     // Keep the distances squared to avoid a sqrt.
     maxDistance = maxDistance * maxDistance;
     var nearest = null;
     var shortestDistance = Number.MAX_VALUE;
     for (var i = 0; i < homeInstances.length; i++) {
-        if (!homeInstances[i].isEmpty()) continue;
+        if (homeInstances[i]._disabled) continue;
+        if (includeOccupied) {
+            if (homeInstances[i]._respawner) continue;
+        } else if (!homeInstances[i].isEmpty()) continue;
         var position = homeInstances[i].position();
         var dx = x - position.x;
         var dy = y - position.y;
@@ -81,32 +165,74 @@ function findNearestHome(x, y, maxDistance) {
     return null;
 }
 
+//
+// Trash, somewhere to drag letters to get rid of them. Like homes, we keep a list of the
+// live ones to look through when a letter is dropped.
+//
+var trashInstances = [];
+
+function Trash(domElement) {
+    this._element = domElement;
+    trashInstances.push(this);
+}
+Events.mixin(Trash.prototype);
+// Trash sends letterdeleted(letter, from) when a letter is thrown away.
+Trash.prototype.dispose = function() {
+    var idx = trashInstances.indexOf(this);
+    if (idx != -1) trashInstances.splice(idx, 1);
+}
+Trash.prototype.contains = function(x, y) {
+    var rect = this._element.getBoundingClientRect();
+    x -= window.pageXOffset;
+    y -= window.pageYOffset;
+    return x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+}
+Trash.prototype.setHighlighted = function(highlighted) {
+    if (highlighted) this._element.classList.add('hover');
+    else this._element.classList.remove('hover');
+}
+
+function findTrash(x, y) {
+    for (var i = 0; i < trashInstances.length; i++)
+        if (trashInstances[i].contains(x, y)) return trashInstances[i];
+    return null;
+}
+
 //
 // Home, keeps a letter or respawner. It ought to know its neighbors for reading out spellings.
 //
+// Homes send:
+//  letteradded(letter) and letterremoved(letter) whenever their letters change.
+//  letterpickedup(letter) when one of their letters is picked up.
+//  letterplaced(letter, from) when a letter is put in them, by dragging or otherwise.
+//  movesstarted() and movesended() around a drop that moves another letter out of the way.
+//
 function Home(domElement) {
     this._element = domElement;
     this._transform = null;
     this._letters = [];
     addHomeInstance(this);
 }
+Events.mixin(Home.prototype);
 Home.prototype.dispose = function() {
     removeHomeInstance(this);
 }
 Home.prototype.addLetter = function(letter) {
-    if (this._onAddLetter) this._onAddLetter(letter);
     var idx = this._letters.indexOf(letter);
     if (idx == -1) this._letters.push(letter);
     if (!this._transform) this.update();
     letter.setHomeTransform(this._transform);
-    if (this._afterAddLetter) this._afterAddLetter(letter);
+    this.emit('letteradded', letter);
 }
 Home.prototype.removeLetter = function(letter) {
-    if (this._onRemoveLetter) this._onRemoveLetter(letter);
     var idx = this._letters.indexOf(letter);
     if (idx != -1) this._letters.splice(idx, 1);
-    if (this._afterRemoveLetter) this._afterRemoveLetter(letter);
+    this.emit('letterremoved', letter);
 }
+// A disabled home can't have letters dropped on it, like the rows of a dictation board
+// that aren't showing yet.
+Home.prototype.setEnabled = function(enabled) { this._disabled = !enabled; }
+Home.prototype.isEnabled = function() { return !this._disabled; }
 Home.prototype.update = function() {
     // Cheap-o; don't use transforms on anything else.
     var offset = { x: 0, y: 0 };
@@ -121,6 +247,7 @@ Home.prototype.update = function() {
     for (var i = 0; i < this._letters.length; i++)
         this._letters[i].setHomeTransform(this._transform);
 }
+Home.prototype.element = function() { return this._element; }
 Home.prototype.transform = function() { return this._transform; }
 Home.prototype.position = function() {
     return { x: this._transform.e, y: this._transform.f };
@@ -130,25 +257,59 @@ Home.prototype.text = function() { if (this._letters.length == 0) return null; r
 Home.prototype.letters = function() { return this._letters; }
 
 //
-// Respawner, adapts a home to create new letters.
+// Respawner, adapts a home to create new letters. It makes as many as anyone wants unless
+// it's given a count, in which case only that many can be out of it at once: letters that
+// come back to it (or are thrown away) can be used again, and a badge shows how many are left.
 //
-function Respawner(domElement, template, parentElement) {
+function Respawner(domElement, template, parentElement, count) {
     this._parentElement = parentElement || document.body;
     this._home = new Home(domElement);
+    this._home._respawner = this;
+    this._element = domElement;
+    domElement.setAttribute('role', 'button');
+    domElement.setAttribute('aria-label', template.textContent);
     this._home.isEmpty = function(letter) { if (letter && letter.origin == this) return true; return false; };
 
     // Use self rather than Function.bind to support iOS 5, which lacks Function.bind.
     var self = this;
-    this._home._onAddLetter = function(letter) { self._onAddLetter(letter); };
-    this._home._onRemoveLetter = function(letter) { self._onRemoveLetter(letter); };
+    this._home.on('letteradded', function(letter) { self._onAddLetter(letter); });
+    this._home.on('letterremoved', function(letter) { self._onRemoveLetter(letter); });
     this.update = function() { self._home.update(); };
     this._template = template;
 
+    // How many letters are out of the respawner, and how many there can be (null for no limit).
+    this._out = 0;
+    this._count = count || null;
+    if (this._count) {
+        this._badge = document.createElement('div');
+        this._badge.className = 'respawn-count';
+        this._badge.setAttribute('aria-hidden', 'true');
+        domElement.appendChild(this._badge);
+    }
+
     this._replenish();
+    this._updateCount();
 }
 Respawner.prototype.dispose = function() { this._home.dispose(); }
+Respawner.prototype.text = function() { return this._template.textContent; }
+Respawner.prototype.home = function() { return this._home; }
+// The letter that's currently waiting in the respawner to be picked up, or null if they've
+// all been used.
+Respawner.prototype.letter = function() { return this._letter || null; }
+// How many more letters can be taken from the respawner, or null if there's no limit.
+Respawner.prototype.remaining = function() {
+    return this._count === null ? null : this._count - this._out;
+}
+// One of our letters was thrown away. If there's a limit it can be used again.
+Respawner.prototype.takeBack = function(letter) {
+    if (letter.origin != this._home) return;
+    this._out--;
+    this._replenish();
+    this._updateCount();
+}
 Respawner.prototype._onAddLetter = function(letter) {
     if (this._replenishing) return;
+    this._out--;
     // We're taking back an old letter. Destroy the letter that we're currently holding.
     if (this._letter) {
         this._purging = true;
@@ -157,15 +318,18 @@ Respawner.prototype._onAddLetter = function(letter) {
         delete this._letter;
     }
     this._letter = letter;
+    this._updateCount();
 }
 Respawner.prototype._onRemoveLetter = function(letter) {
     if (this._purging) return;
     if (this._letter == letter) this._letter = null;
+    this._out++;
     // A letter was removed, we need to replenish with a fresh one.
     this._replenish();
+    this._updateCount();
 }
 Respawner.prototype._replenish = function() {
-    if (this._letter) return;
+    if (this._letter || this.remaining() === 0) return;
     this._replenishing = true;
     var letterElem = this._template.cloneNode(true);
     this._parentElement.appendChild(letterElem);
@@ -174,20 +338,98 @@ Respawner.prototype._replenish = function() {
     this._letter.appear();
     delete this._replenishing;
 }
+Respawner.prototype._updateCount = function() {
+    if (!this._badge) return;
+    var remaining = this.remaining();
+    this._badge.textContent = remaining;
+    this._element.setAttribute('aria-label', this.text() + ', ' + remaining + ' left');
+    if (remaining) this._element.classList.remove('used-up');
+    else this._element.classList.add('used-up');
+}
 
 //
-// Letter, can be dragged between homes.
+// PointerManager routes every contact (a finger, the mouse or a pen) to the letter it went
+// down on, so that two children, or two hands, can drag different letters at the same time.
+// Moves and ups are read from the document, because a contact that moves too far in one
+// frame can leave the letter's element behind. Pointer Events are used where there are
+// any, and touch and mouse events where there aren't.
 //
-function Letter(domElement, home) {
-    this._element = domElement;
-    // Use self rather than bind again.
+function PointerManager() {
+    this._letters = {};
     var self = this;
-    this._element.addEventListener('touchstart', function(e) { self._start(e); }, false);
-    this._element.addEventListener('touchmove', function(e) { self._move(e); }, false);
-    this._element.addEventListener('touchend', function(e) { self._end(e, false); }, false);
-    this._element.addEventListener('touchcancel', function(e) { self._end(e, true); }, false);
+    if (window.PointerEvent) {
+        document.addEventListener('pointermove', function(e) { self._move('p' + e.pointerId, e.pageX, e.pageY, e); }, false);
+        document.addEventListener('pointerup', function(e) { self._up('p' + e.pointerId, e.pageX, e.pageY, false, e); }, false);
+        document.addEventListener('pointercancel', function(e) { self._up('p' + e.pointerId, e.pageX, e.pageY, true, e); }, false);
+        return;
+    }
+    document.addEventListener('touchmove', function(e) {
+        forEachTouch(e, function(id, x, y) { self._move(id, x, y, e); });
+    }, false);
+    document.addEventListener('touchend', function(e) {
+        forEachTouch(e, function(id, x, y) { self._up(id, x, y, false, e); });
+    }, false);
+    document.addEventListener('touchcancel', function(e) {
+        forEachTouch(e, function(id, x, y) { self._up(id, x, y, true, e); });
+    }, false);
+    document.addEventListener('mousemove', function(e) { self._move('mouse', e.pageX, e.pageY, e); }, false);
+    document.addEventListener('mouseup', function(e) { self._up('mouse', e.pageX, e.pageY, false, e); }, false);
+}
+function forEachTouch(e, fn) {
+    for (var i = 0; i < e.changedTouches.length; i++) {
+        var t = e.changedTouches[i];
+        fn('t' + t.identifier, t.pageX, t.pageY);
+    }
+}
+var pointerManager = null;
+PointerManager.instance = function() {
+    if (!pointerManager) pointerManager = new PointerManager();
+    return pointerManager;
+}
+// Start sending the contacts that go down on an element to a letter.
+PointerManager.prototype.listen = function(letter, element) {
+    var self = this;
+    if (window.PointerEvent) {
+        element.addEventListener('pointerdown', function(e) { self._down(letter, 'p' + e.pointerId, e.pageX, e.pageY, e); }, false);
+        return;
+    }
+    element.addEventListener('touchstart', function(e) {
+        forEachTouch(e, function(id, x, y) { self._down(letter, id, x, y, e); });
+    }, false);
+    element.addEventListener('mousedown', function(e) { self._down(letter, 'mouse', e.pageX, e.pageY, e); }, false);
+}
+PointerManager.prototype._down = function(letter, id, x, y, e) {
+    e.stopPropagation();
+    e.preventDefault();
+    // A letter that's been thrown away (or purged by its respawner) is still on screen while
+    // it shrinks out, but it can't be picked up.
+    if (letter.isRemoved()) return;
+    this._letters[id] = letter;
+    letter._addContact(id, x, y);
+}
+PointerManager.prototype._move = function(id, x, y, e) {
+    if (!this._letters.hasOwnProperty(id)) return;
+    e.preventDefault();
+    this._letters[id]._moveContact(id, x, y);
+}
+PointerManager.prototype._up = function(id, x, y, cancelled, e) {
+    if (!this._letters.hasOwnProperty(id)) return;
+    e.stopPropagation();
+    e.preventDefault();
+    var letter = this._letters[id];
+    delete this._letters[id];
+    letter._removeContact(id, x, y, cancelled);
+}
 
-    this._element.addEventListener('mousedown', function(e) { Letter._draggingLetter = self; self._start(e); }, false);
+//
+// Letter, can be dragged between homes. It sends lettermoved(letter, from, to) each time it
+// lands in a home.
+//
+function Letter(domElement, home) {
+    this._element = domElement;
+    // Screen readers get the homes and respawners instead; see aria.js.
+    this._element.setAttribute('aria-hidden', 'true');
+    PointerManager.instance().listen(this, this._element);
 
     this._homeTransform = id;
     this._home = home;
@@ -195,18 +437,7 @@ function Letter(domElement, home) {
 
     home.addLetter(this);
 }
-// The mousemove and mouseup events get read from the body because otherwise if the cursor
-// leaves the element that's being dragged (by moving too far in one frame) then that letter
-// will stop receiving the mousemoves.
-Letter.mousemove = function(e) {
-    if (!Letter._draggingLetter) return;
-    Letter._draggingLetter._move(e);
-}
-Letter.mouseup = function(e) {
-    if (!Letter._draggingLetter) return;
-    Letter._draggingLetter._end(e, false);
-    Letter._draggingLetter = null;
-}
+Events.mixin(Letter.prototype);
 Letter.prototype.appear = function() {
     this._element.style[properties.transform] = this._homeTransform.scale(0.1);
     this._element.style[properties.transition] = 'none';
@@ -215,7 +446,11 @@ Letter.prototype.appear = function() {
     this._element.style[properties.transition] = properties.transform + ' 450ms';
 }
 Letter.prototype.disappearAndRemove = function() {
-    if (this._home) this._home.removeLetter(this._letter);
+    this._stopSpring();
+    if (this._home) this._home.removeLetter(this);
+    this._home = null;
+    this._removed = true;
+    this._element.style.pointerEvents = 'none';
 
     var cstyle = window.getComputedStyle(this._element);
     var small = new FirminCSSMatrix(cstyle[properties.transform]).scale(0.05);
@@ -227,103 +462,304 @@ Letter.prototype.disappearAndRemove = function() {
         }, true);
 }
 Letter.prototype.text = function() { return this._element.textContent; }
+Letter.prototype.home = function() { return this._home; }
+Letter.prototype.isRemoved = function() { return !!this._removed; }
+// Send the letter back to where it came from. If that's a respawner then it takes the letter
+// back and gets rid of the one that it was holding.
+Letter.prototype.returnToOrigin = function() {
+    if (this._home == this._originalHome) return;
+    this.moveTo(this._originalHome, true);
+}
+// Move the letter to a new home without the user dragging it, e.g. when restoring a board.
+// The new home hears about it just like a drop.
+Letter.prototype.moveTo = function(home, animate) {
+    var from = this._home;
+    if (from) from.removeLetter(this);
+    if (animate) this._springHome();
+    this._home = home;
+    home.addLetter(this);
+    home.emit('letterplaced', this, from);
+    this.emit('lettermoved', this, from, home);
+}
 var lastZIndex = 1;
-Letter.prototype._start = function(e) {
-    e.stopPropagation();
-    e.preventDefault();
-    // XXX: Really we should just track with arbitrarily many touch points and average
-    //      the movement to guard against bad touchscreens. Accidental edge touches are
-    //      less of an issue because each letter is pretty small.
-    if (this.hasOwnProperty('_tracking')) return;
-
-    if (e.type == 'touchstart') {
-        this._tracking = e.changedTouches[0].identifier;
-        this._startPoint = { x: e.changedTouches[0].pageX, y: e.changedTouches[0].pageY };
-    } else {
-        // Mousedown
-        this._tracking = 'mouse';
-        this._startPoint = { x: e.pageX, y: e.pageY };
+
+//
+// Letters move with a little physics: they tilt in the direction they're dragged, a letter
+// thrown towards a home lands there, and letters spring into their homes instead of sliding.
+//
+var MAX_TILT = 15;              // degrees
+var TILT_PER_SPEED = 12;        // degrees for each px/ms of sideways speed
+var TILT_EASING = 0.3;          // how quickly the tilt catches up with the speed
+var VELOCITY_WINDOW = 100;      // ms of movement to measure the speed over
+var FLING_SPEED = 0.5;          // px/ms, slower than this is just a drop
+var FLING_DECELERATION = 0.004; // px/ms², how quickly a thrown letter would slow down
+var MAX_FLING = 600;            // px
+var SPRING_STIFFNESS = 300;
+var SPRING_DAMPING = 26;        // a little under critical, so that letters bounce once
+
+function now() { return new Date().getTime(); }
+// A transform that puts a letter at x, y turned by angle degrees around its middle.
+function tilted(x, y, angle) { return id.translate(x, y).multiply(id.rotate(angle)); }
+var requestFrame = window.requestAnimationFrame || window.webkitRequestAnimationFrame ||
+    window.mozRequestAnimationFrame || function(fn) { return window.setTimeout(fn, 16); };
+
+//
+// A spring pulling a letter from where it is now into its home, starting with the given
+// velocity (in px/ms). The home is read on each frame, so the letter follows it if the
+// board is laid out again on the way.
+//
+function Spring(letter, from, velocity, angle) {
+    this._letter = letter;
+    this._x = from.e;
+    this._y = from.f;
+    this._angle = angle || 0;
+    this._vx = velocity ? velocity.x * 1000 : 0;
+    this._vy = velocity ? velocity.y * 1000 : 0;
+    this._va = 0;
+    this._time = now();
+    this._running = true;
+    var self = this;
+    this._step = function() { self._frame(); };
+    requestFrame.call(window, this._step);
+}
+Spring.prototype.stop = function() { this._running = false; }
+Spring.prototype._frame = function() {
+    if (!this._running) return;
+    var t = now();
+    // Don't let a long pause (like a background tab) throw the letter off the screen.
+    var dt = Math.min((t - this._time) / 1000, 0.05);
+    this._time = t;
+
+    var target = this._letter._homeTransform;
+    var dx = this._x - target.e, dy = this._y - target.f;
+    this._vx += (-SPRING_STIFFNESS * dx - SPRING_DAMPING * this._vx) * dt;
+    this._vy += (-SPRING_STIFFNESS * dy - SPRING_DAMPING * this._vy) * dt;
+    this._va += (-SPRING_STIFFNESS * this._angle - SPRING_DAMPING * this._va) * dt;
+    this._x += this._vx * dt;
+    this._y += this._vy * dt;
+    this._angle += this._va * dt;
+
+    var element = this._letter._element;
+    var settled = Math.abs(this._x - target.e) < 0.5 && Math.abs(this._y - target.f) < 0.5 &&
+        Math.abs(this._angle) < 0.5 && Math.abs(this._vx) < 10 && Math.abs(this._vy) < 10 &&
+        Math.abs(this._va) < 10;
+    if (settled) {
+        this._running = false;
+        delete this._letter._spring;
+        element.style[properties.transform] = target;
+        return;
     }
-    this._startTransform = new FirminCSSMatrix(window.getComputedStyle(this._element)[properties.transform]);
+    element.style[properties.transform] = tilted(this._x, this._y, this._angle);
+    requestFrame.call(window, this._step);
+}
+// Spring the letter into its home from wherever it is now. Call this before giving the
+// letter its new home, so that it doesn't jump there first.
+Letter.prototype._springHome = function(velocity, angle) {
+    var current = new FirminCSSMatrix(window.getComputedStyle(this._element)[properties.transform]);
+    this._stopSpring();
+    this._element.style[properties.transition] = 'none';
+    this._spring = new Spring(this, current, velocity, angle);
+}
+Letter.prototype._stopSpring = function() {
+    if (!this._spring) return;
+    this._spring.stop();
+    delete this._spring;
+}
+
+//
+// A letter can have more than one contact on it, from a bad touchscreen or a child using two
+// fingers. It moves by the average of how far they've moved. Whenever a contact comes or goes
+// we fold the movement so far into _offset and start averaging again from where everything
+// is, so that the letter doesn't jump.
+//
+Letter.prototype._addContact = function(id, x, y) {
+    if (this.isRemoved()) return;
+    if (!this._contacts) this._start();
+    this._rebase();
+    this._contacts[id] = { start: { x: x, y: y }, current: { x: x, y: y } };
+}
+Letter.prototype._moveContact = function(id, x, y) {
+    var contact = this._contacts && this._contacts[id];
+    if (!contact) return;
+    contact.current = { x: x, y: y };
+    this._move();
+}
+Letter.prototype._removeContact = function(id, x, y, cancelled) {
+    var contact = this._contacts && this._contacts[id];
+    if (!contact) return;
+    contact.current = { x: x, y: y };
+    this._rebase();
+    delete this._contacts[id];
+    for (var k in this._contacts)
+        if (this._contacts.hasOwnProperty(k)) return;
+    this._end(cancelled);
+}
+Letter.prototype._isDragging = function() { return !!this._contacts; }
+// How far the letter has been dragged.
+Letter.prototype._dragOffset = function() {
+    var x = 0, y = 0, n = 0;
+    for (var k in this._contacts) {
+        if (!this._contacts.hasOwnProperty(k)) continue;
+        var c = this._contacts[k];
+        x += c.current.x - c.start.x;
+        y += c.current.y - c.start.y;
+        n++;
+    }
+    if (n == 0) return this._offset;
+    return { x: this._offset.x + x / n, y: this._offset.y + y / n };
+}
+Letter.prototype._rebase = function() {
+    this._offset = this._dragOffset();
+    for (var k in this._contacts) {
+        if (!this._contacts.hasOwnProperty(k)) continue;
+        var c = this._contacts[k];
+        c.start = c.current;
+    }
+}
+Letter.prototype._start = function() {
+    this._stopSpring();
+    this._contacts = {};
+    this._offset = { x: 0, y: 0 };
+    this._samples = [];
+    this._tilt = 0;
+    // Only keep where the letter is; any tilt or scale from an animation it was caught in
+    // would skew the drag.
+    var current = new FirminCSSMatrix(window.getComputedStyle(this._element)[properties.transform]);
+    this._startTransform = id.translate(current.e, current.f);
 
     this._element.style[properties.transform] = this._startTransform;
     this._element.style[properties.transition] = 'none';
     this._element.style.zIndex = (++lastZIndex);
     
+    this._home.emit('letterpickedup', this);
+    this._pickedUpFrom = this._home;
     this._home.removeLetter(this);
     this._home = null;
 }
-Letter.prototype._move = function(e) {
-    e.stopPropagation();
-    e.preventDefault();
-
-    if (!this.hasOwnProperty('_tracking')) return;
-
-    var point = null;
+Letter.prototype._move = function() {
+    var point = this._dragOffset();
+    this._addSample(point);
+    // Tilt the letter the way it's going, as though it were being pulled along by its top.
+    var velocity = this._velocity();
+    var tilt = Math.max(-MAX_TILT, Math.min(MAX_TILT, velocity.x * TILT_PER_SPEED));
+    this._tilt += (tilt - this._tilt) * TILT_EASING;
+    var tx = this._startTransform.translate(point.x, point.y);
+    this._element.style[properties.transform] = tilted(tx.e, tx.f, this._tilt);
 
-    if (e.type == 'mousemove') {
-        point = { x: e.pageX - this._startPoint.x, y: e.pageY - this._startPoint.y };
-    } else {
-        for (var i = 0; i < e.changedTouches.length; i++) {
-            var t = e.changedTouches[i];
-            if (t.identifier == this._tracking) {
-                point = { x: t.pageX - this._startPoint.x, y: t.pageY - this._startPoint.y };
-            }
-        }
+    var center = this._center(tx);
+    var trash = findTrash(center.x, center.y);
+    if (trash != this._overTrash) {
+        if (this._overTrash) this._overTrash.setHighlighted(false);
+        if (trash) trash.setHighlighted(true);
+        this._overTrash = trash;
     }
-    if (!point) return;
-    // TODO: Add some rotation based on angle of velocity.
-    var tx = this._startTransform.translate(point.x, point.y);
-    this._element.style[properties.transform] = tx;
 }
-Letter.prototype._end = function(e, cancelled) {
-    e.stopPropagation();
-    e.preventDefault();
-
-    if (!this.hasOwnProperty('_tracking')) return;
+// Remember where the letter was over the last little while, to know how fast it's going.
+Letter.prototype._addSample = function(point) {
+    var t = now();
+    this._samples.push({ time: t, x: point.x, y: point.y });
+    while (this._samples.length > 2 && t - this._samples[0].time > VELOCITY_WINDOW)
+        this._samples.shift();
+}
+// The letter's velocity in px/ms.
+Letter.prototype._velocity = function() {
+    var samples = this._samples;
+    if (!samples || samples.length < 2) return { x: 0, y: 0 };
+    var first = samples[0], last = samples[samples.length - 1];
+    var dt = last.time - first.time;
+    if (dt <= 0) return { x: 0, y: 0 };
+    return { x: (last.x - first.x) / dt, y: (last.y - first.y) / dt };
+}
+Letter.prototype._center = function(tx) {
+    return { x: tx.e + this._element.offsetWidth / 2, y: tx.f + this._element.offsetHeight / 2 };
+}
+Letter.prototype._end = function(cancelled) {
+    var point = this._dragOffset();
+    this._addSample(point);
+    var tx = this._startTransform.translate(point.x, point.y);
+    var velocity = this._velocity();
+    // A letter that has stopped moving before it's let go wasn't thrown.
+    var samples = this._samples;
+    if (samples.length > 1 && now() - samples[samples.length - 2].time > VELOCITY_WINDOW) velocity = { x: 0, y: 0 };
+    delete this._samples;
 
-    var point = null;
+    var from = this._pickedUpFrom;
+    delete this._pickedUpFrom;
+    if (this._overTrash) this._overTrash.setHighlighted(false);
+    delete this._overTrash;
 
-    if (e.type == 'mouseup') {
-        point = { x: e.pageX - this._startPoint.x, y: e.pageY - this._startPoint.y };
-    } else {
-        for (var i = 0; i < e.changedTouches.length; i++) {
-            var t = e.changedTouches[i];
-            if (t.identifier == this._tracking) {
-                point = { x: t.pageX - this._startPoint.x, y: t.pageY - this._startPoint.y };
-            }
-        }
+    // Dropping a letter on the trash gets rid of it.
+    var center = this._center(tx);
+    var trash = cancelled ? null : findTrash(center.x, center.y);
+    if (trash) {
+        delete this._contacts;
+        this.disappearAndRemove();
+        trash.emit('letterdeleted', this, from);
+        return;
     }
 
-    if (!point) return;
-
-    var tx = this._startTransform.translate(point.x, point.y);
-    this._element.style[properties.transform] = tx;
-
-    var newHome = findNearestHome(tx.e, tx.f, 128);
+    var newHome = null;
+    var speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+    // A letter thrown at a home lands where it would have slid to, so it doesn't have to be
+    // carried all the way there.
+    if (!cancelled && speed > FLING_SPEED) {
+        var distance = Math.min(speed * speed / (2 * FLING_DECELERATION), MAX_FLING);
+        newHome = findNearestHome(tx.e + velocity.x / speed * distance, tx.f + velocity.y / speed * distance, 128, true);
+    }
+    if (!newHome && !cancelled) newHome = findNearestHome(tx.e, tx.f, 128, true);
 
-    if (!newHome || cancelled) {
+    // A letter dropped away from any home goes back where it came from: respawners take
+    // back their own letters, and anything else goes back to the home it was picked up from.
+    if (!newHome) {
         if (this._originalHome.isEmpty(this)) newHome = this._originalHome;
-        else newHome = findNearestHome(tx.e, tx.f, 65536); // XXX: Bogus! Should go back to our respawner!
+        else newHome = from;
     }
+    this._dropOn(newHome, from, velocity);
+    delete this._contacts;
+}
+// Put the letter, which isn't in any home, into a home. A letter dropped on a home that
+// already has a letter takes its place. If this letter came from another home then they
+// swap, otherwise the old one goes back to its respawner. A thrown letter keeps its velocity
+// as it springs into the home.
+Letter.prototype._dropOn = function(newHome, from, velocity) {
+    var displaced = null;
+    if (!newHome._respawner && !newHome.isEmpty()) displaced = newHome.letters()[0];
 
-    if (newHome) {
-        this._home = newHome;
-        this._home.addLetter(this);
+    if (displaced) newHome.emit('movesstarted');
+    if (displaced) {
+        if (from && !from._respawner) displaced.moveTo(from, true);
+        else displaced.returnToOrigin();
     }
-
-    this._element.style[properties.transform] = this._homeTransform;
-    this._element.style[properties.transition] = properties.transform + ' 500ms';
-    delete this._tracking;
+    this._springHome(velocity, this._tilt);
+    delete this._tilt;
+    this._home = newHome;
+    this._home.addLetter(this);
+    newHome.emit('letterplaced', this, from);
+    this.emit('lettermoved', this, from, newHome);
+    if (displaced) newHome.emit('movesended');
+}
+// Put the letter into a home as if it had been dragged there, for keyboards and switches.
+Letter.prototype.place = function(home) {
+    var from = this._home;
+    if (from == home) return;
+    if (from) {
+        from.emit('letterpickedup', this);
+        from.removeLetter(this);
+    }
+    this._home = null;
+    this._element.style.zIndex = (++lastZIndex);
+    this._dropOn(home, from);
 }
 Letter.prototype.setHomeTransform = function(t) {
     this._homeTransform = t;
-    if (!this.hasOwnProperty('_tracking')) {
+    // A dragged or springing letter will get there by itself.
+    if (!this._isDragging() && !this._spring) {
         this._element.style[properties.transform] = this._homeTransform;
         this._element.style[properties.transition] = 'none';
     }
 }
 Letter.prototype.wave = function(duration, delay) {
+    this._stopSpring();
     var upTime = 0.3 * duration;
     this._element.style[properties.transition] = properties.transform + ' ' + upTime + 'ms ' + delay + 'ms';
     this._element.style[properties.transform] = this._homeTransform + ' translateY(-20px)';
@@ -342,9 +778,9 @@ Letter.prototype._waveEnd = function(duration, e) {
 }
 
 // A CompletionSet is a list of valid completions (each completion is a list with
-// a string for each letter). We use this instead of a raw array so that Groups
-// with the same CompletionSet can detect duplicates -- if you already spelled 'cat'
-// then you can't use 'cat' again.
+// a string for each letter, or tile -- a tile can carry a grapheme like "ch"). We use
+// this instead of a raw array so that Groups with the same CompletionSet can detect
+// duplicates -- if you already spelled 'cat' then you can't use 'cat' again.
 function CompletionSet(completions) {
     this._completions = completions;
     this._complete = {};
@@ -368,8 +804,10 @@ CompletionSet.prototype.markIncomplete = function(completion, group) {
         var idx = this._complete[k].indexOf(group);
         if (idx == -1) return;
         this._complete[k].splice(idx, 1);
-        if (this._complete[k].length == 1) {
-            this._complete[k][0]._validate();
+        // The first group to spell a completion is the correct one and the rest are duplicates,
+        // so only taking the first one apart makes the next one correct.
+        if (idx == 0 && this._complete[k].length > 0) {
+            this._complete[k][0]._promote();
         }
     }
 }
@@ -382,17 +820,24 @@ CompletionSet.prototype.completionCount = function(completion) {
 // A Group is a set of homes with a set of permitted values (called completions). When
 // a completion is filled out, the homes can be animated away and replaced with the
 // completion to form the word. Eventually we can add sounds and other rewards.
+//
+// Groups send groupcomplete(group) when they're filled with a completion, groupduplicate(group)
+// when it's one that another group already has, and groupunmatched(group) otherwise.
 function Group(completionSet, homes) {
     this._completionSet = completionSet;
     this._homes = homes;
     this._currentCompletion = null;
+    // One of 'correct', 'duplicate' or null.
+    this._state = null;
+    this._attempt = null;
     var self = this;
     function validate() { self._validate(); };
     for (var i = 0; i < homes.length; i++) {
-        homes[i]._afterAddLetter = validate;
-        homes[i]._afterRemoveLetter = validate;
+        homes[i].on('letteradded', validate);
+        homes[i].on('letterremoved', validate);
     }
 }
+Events.mixin(Group.prototype);
 Group.prototype._validate = function() {
     // Algorithm: eliminate matches every letter.
     var completions = this._completionSet.completions();
@@ -417,20 +862,175 @@ Group.prototype._validate = function() {
         this._completionSet.markIncomplete(this._currentCompletion, this);
         this._currentCompletion = null;
     }
+    this._attempt = null;
     if (matches.length > 0) {
         // Awesome! We have a match -- but is it unique?
         var alreadyUsed = this._completionSet.completionCount(matches[0]);
         this._completionSet.markComplete(matches[0], this);
         this._currentCompletion = matches[0];
         if (!alreadyUsed) {
-            if (this._onMatch) this._onMatch();
+            this._state = 'correct';
+            this.emit('groupcomplete', this);
         } else {
-            if (this._onDuplicate) this._onDuplicate();
+            this._state = 'duplicate';
+            this.emit('groupduplicate', this);
         }
     } else {
-        // No match.
-        if (this._onNoMatch) this._onNoMatch();
+        // No match. If every home is filled then it was a misspelling, so keep what was
+        // spelled, the word that was probably meant and which letters can't be in any word.
+        this._state = null;
+        if (this.isFull()) {
+            var spelling = this.spelling();
+            this._attempt = { spelling: spelling, intended: this._closest(spelling), wrong: this._misfits(spelling) };
+        }
+        this.emit('groupunmatched', this);
+    }
+}
+// A duplicate becomes correct when the group that spelled its completion first is undone.
+Group.prototype._promote = function() {
+    this._state = 'correct';
+    this.emit('groupcomplete', this);
+}
+Group.prototype.homes = function() { return this._homes; }
+// Send all of the letters in the group back to their respawners.
+Group.prototype.clear = function() {
+    for (var i = 0; i < this._homes.length; i++) {
+        // Copy the list, since returning each letter removes it from the home.
+        var letters = this._homes[i].letters().slice(0);
+        for (var l = 0; l < letters.length; l++) letters[l].returnToOrigin();
+    }
+}
+// Clear a list of groups. A correct group's duplicate becomes correct when the correct one is
+// taken apart, so the duplicates go first; otherwise clearing the board would "match" words.
+Group.clearAll = function(groups) {
+    var correct = [];
+    for (var i = 0; i < groups.length; i++) {
+        if (groups[i].state() == 'correct') correct.push(groups[i]);
+        else groups[i].clear();
+    }
+    for (var i = 0; i < correct.length; i++) correct[i].clear();
+}
+// How far along a list of groups is, as { found, total }: how many are correct, out of how
+// many can be. Rows that share a CompletionSet (from an entry with a "limit") can't all be
+// right when there are more of them than completions, since once every completion is used
+// the rest can only be duplicates, so those only count up to the number of completions.
+Group.progress = function(groups) {
+    var sets = [];
+    var rows = [];
+    var found = 0;
+    for (var i = 0; i < groups.length; i++) {
+        if (groups[i].state() == 'correct') found++;
+        var idx = sets.indexOf(groups[i]._completionSet);
+        if (idx == -1) {
+            sets.push(groups[i]._completionSet);
+            rows.push(1);
+        } else {
+            rows[idx]++;
+        }
+    }
+    var total = 0;
+    for (var i = 0; i < sets.length; i++) total += Math.min(rows[i], sets[i].completions().length);
+    return { found: found, total: total };
+}
+Group.prototype.isFull = function() {
+    for (var i = 0; i < this._homes.length; i++)
+        if (!this._homes[i].text()) return false;
+    return true;
+}
+// The word that the group's blanks are part of, with the current completion filled in. This
+// needs the pattern (like "c__." or "_an") that the group was built from.
+Group.prototype.word = function() {
+    if (!this.pattern || !this._currentCompletion) return null;
+    return patternWord(this.pattern, this._currentCompletion);
+}
+// Fill in a pattern's blanks with a completion and take just the word with the blanks in it,
+// without any punctuation, so "We r__ home." with "an" is "ran".
+function patternWord(pattern, completion) {
+    var filled = '';
+    var c = 0;
+    for (var i = 0; i < pattern.length; i++) {
+        if (pattern[i] == '_') filled += completion[c++];
+        else filled += pattern[i];
+    }
+    var start = pattern.indexOf('_');
+    var end = pattern.lastIndexOf('_');
+    var offset = filled.length - pattern.length;
+    while (start > 0 && /[A-Za-z']/.test(filled[start - 1])) start--;
+    end += offset;
+    while (end < filled.length - 1 && /[A-Za-z']/.test(filled[end + 1])) end++;
+    return filled.substring(start, end + 1);
+}
+Group.prototype.state = function() { return this._state; }
+Group.prototype.completion = function() { return this._currentCompletion; }
+Group.prototype.completionText = function() {
+    return this._currentCompletion ? completionKey(this._currentCompletion) : null;
+}
+// A completion that would finish the group, for hints: one that nothing else has used and
+// that fits the letters already in the group if there is one, otherwise any that nothing
+// else has used. Returns null if they've all been used.
+Group.prototype.suggestion = function() {
+    var completions = this._completionSet.completions();
+    var unused = null;
+    for (var i = 0; i < completions.length; i++) {
+        var c = completions[i];
+        var used = this._completionSet.completionCount(c);
+        if (c == this._currentCompletion) used--;
+        if (used > 0) continue;
+        if (!unused) unused = c;
+        var fits = true;
+        for (var h = 0; h < this._homes.length; h++) {
+            var text = this._homes[h].text();
+            if (text && text != c[h]) fits = false;
+        }
+        if (fits) return c;
+    }
+    return unused;
+}
+// The completion with the most letters in the same places as the given spelling, preferring
+// ones that nothing else has used.
+Group.prototype._closest = function(spelling) {
+    var completions = this._completionSet.completions();
+    var best = null, bestScore = -1;
+    for (var i = 0; i < completions.length; i++) {
+        var score = 0;
+        for (var h = 0; h < spelling.length; h++)
+            if (completions[i][h] == spelling[h]) score += 2;
+        if (!this._completionSet.completionCount(completions[i])) score++;
+        if (score > bestScore) {
+            best = completions[i];
+            bestScore = score;
+        }
+    }
+    return best;
+}
+// The indexes of the letters in a spelling that no completion has in the same place, so that
+// they can't be part of any right answer. Completions that other groups have already used
+// don't count, unless they all have been.
+Group.prototype._misfits = function(spelling) {
+    var completions = this._completionSet.completions();
+    var unused = [];
+    for (var i = 0; i < completions.length; i++)
+        if (!this._completionSet.completionCount(completions[i])) unused.push(completions[i]);
+    if (unused.length) completions = unused;
+    var wrong = [];
+    for (var h = 0; h < spelling.length; h++) {
+        var fits = false;
+        for (var i = 0; i < completions.length && !fits; i++)
+            if (completions[i][h] == spelling[h]) fits = true;
+        if (!fits) wrong.push(h);
     }
+    return wrong;
+}
+// The last misspelling, while it's still in the homes: { spelling, intended, wrong } with
+// the text of each home, the completion it was probably meant to be and the indexes of the
+// homes with letters that don't fit any completion. Returns null if the group isn't full or
+// is right.
+Group.prototype.attempt = function() { return this._attempt; }
+// The text in each home, with null for the empty ones.
+Group.prototype.spelling = function() {
+    var spelling = [];
+    for (var i = 0; i < this._homes.length; i++) spelling.push(this._homes[i].text());
+    return spelling;
 }
 
 function doWave(items) {
@@ -451,14 +1051,35 @@ function doWave(items) {
     }
 }
 
+// Build a board from a definition. What Builder returns can be listened to (see Events) for
+// what happens on the board: letterpickedup(letter), letterplaced(letter, from, to) when a
+// letter is dropped in a home and letterdeleted(letter, from) when it's thrown away. Groups
+// send groupcomplete(group), groupduplicate(group) and groupunmatched(group) as they change.
+// When several letters move at once (like clearing the board or swapping two letters) the
+// moves are bracketed by movesstarted and movesended. Once every group that can be right is
+// (see Group.progress) it sends boardcomplete. Its clear() sends every letter back, like
+// the board's clear button.
+//
+// The board has a button to clear it, swiping across a row clears just that row, and
+// letters dragged to the trash are thrown away. A definition with an "inventory" only has
+// so many of each letter (see inventoryCount); thrown away letters go back to their pile.
 function Builder(definition, parentElem) {
     parentElem = parentElem || document.body;
     var board = document.createElement('div');
     board.className = 'screen board';
     if (parentElem) parentElem.appendChild(board);
     var homes = [];
+    var respawnerList = [];
+    var groups = [];
+    var built = new Events();
+    function notify(name, a, b, c) { built.emit(name, a, b, c); }
+    function pickedUp(letter) { notify('letterpickedup', letter); }
+    function dropped(letter, from) { notify('letterplaced', letter, from, letter.home()); }
+    function movesStarted() { notify('movesstarted'); }
+    function movesEnded() { notify('movesended'); }
 
-    // Build all of the respawners.
+    // Build all of the respawners. The letters are either a string with one letter per tile
+    // or a list of strings, which lets a tile carry a grapheme like "ch" or "igh".
     var respawners = document.createElement('div');
     respawners.className = 'respawners';
     for (var i = 0; i < definition.letters.length; i++) {
@@ -467,11 +1088,14 @@ function Builder(definition, parentElem) {
         r.className = 'respawn';
         r.id = letter;
         var template = document.createElement('div');
-        template.className = 'letter';
-        template.textContent = definition.letters[i];
-        var home = new TBoard.Respawner(r, template, board);
+        template.className = letter.length > 1 ? 'letter multi' : 'letter';
+        template.textContent = letter;
+        var home = new TBoard.Respawner(r, template, board, inventoryCount(definition.inventory, letter));
+        home.home().on('letterpickedup', pickedUp);
+        home.home().on('letterplaced', dropped);
         respawners.appendChild(r);
         homes.push(home);
+        respawnerList.push(home);
     }
     board.appendChild(respawners);
 
@@ -502,7 +1126,10 @@ function Builder(definition, parentElem) {
             var completion = side[c];
             var word = completion.word;
 
-            var completionSet = new CompletionSet(completion.completions);
+            var completions = [];
+            for (var s = 0; s < completion.completions.length; s++)
+                completions.push(TBoard.Validator.segment(completion.completions[s], definition.letters));
+            var completionSet = new CompletionSet(completions);
             var length = completion.limit || completion.completions.length;
 
             for (var w = 0; w < length; w++) {
@@ -513,42 +1140,149 @@ function Builder(definition, parentElem) {
                 // on a correct completion.
                 var letterElements = [];
                 // Iterate over the word and create homes where they're needed;
-                // underscore means home.
+                // underscore means home. Each word (of a sentence) goes in its own span
+                // so that it can be highlighted when it's read out.
+                var wordElem = null;
+                function currentWord() {
+                    if (!wordElem) {
+                        wordElem = document.createElement('span');
+                        wordElem.className = 'word';
+                        li.appendChild(wordElem);
+                    }
+                    return wordElem;
+                }
                 for (var l = 0; l < word.length; l++) {
                     if (word[l] == "_") {
                         var home = document.createElement('div');
                         home.className = 'home';
-                        li.appendChild(home)
+                        currentWord().appendChild(home)
                         var h = new Home(home);
+                        h.on('letterpickedup', pickedUp);
+                        h.on('letterplaced', dropped);
+                        h.on('movesstarted', movesStarted);
+                        h.on('movesended', movesEnded);
                         homes.push(h);
                         groupHomes.push(h);
                         letterElements.push(h);
                     } else {
                         if (word[l] === ' ') {
                             li.appendChild(document.createTextNode(' '));
+                            wordElem = null;
                         } else {
                             var sp = document.createElement('span');
                             sp.textContent = word[l];
                             sp.style.display = 'inline-block'; // We use an animation for the reward, and those only work on blocks.
-                            li.appendChild(sp);
+                            currentWord().appendChild(sp);
                             letterElements.push(sp);
                         }
                     }
                 }
                 var group = new Group(completionSet, groupHomes);
-                function setMatchCallbacks(groupElem, letterElements) {
-                    group._onMatch = function() { doWave(letterElements); groupElem.classList.add('correct'); groupElem.classList.remove('duplicate'); };
-                    group._onNoMatch = function() { groupElem.classList.remove('correct'); groupElem.classList.remove('duplicate'); };
-                    group._onDuplicate = function() { groupElem.classList.add('duplicate'); };
+                // Groups are named by where they came from in the definition, so that we can
+                // find them again when the board is rebuilt.
+                group.id = k + '.' + c + '.' + w;
+                group.section = k;
+                group.pattern = word;
+                group.element = li;
+                groups.push(group);
+                function setMatchCallbacks(group, groupElem, letterElements) {
+                    group.on('groupcomplete', function() {
+                        doWave(letterElements);
+                        groupElem.classList.add('correct');
+                        groupElem.classList.remove('duplicate');
+                        markMistakes(group);
+                        notify('groupcomplete', group);
+                        if (allCorrect(groups)) notify('boardcomplete');
+                    });
+                    group.on('groupunmatched', function() { groupElem.classList.remove('correct'); groupElem.classList.remove('duplicate'); markMistakes(group); notify('groupunmatched', group); });
+                    group.on('groupduplicate', function() { groupElem.classList.add('duplicate'); markMistakes(group); notify('groupduplicate', group); });
                 }
-                setMatchCallbacks(li, letterElements);
+                setMatchCallbacks(group, li, letterElements);
+                addSwipeToClear(li, [group], notify);
             }
         }
     }
 
+    var clear = document.createElement('div');
+    clear.className = 'clear-button';
+    clear.innerHTML = '&#x232b;';
+    clear.setAttribute('role', 'button');
+    clear.setAttribute('aria-label', 'Clear the board');
+    function clearAll(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        clearGroups(groups, notify);
+    }
+    clear.addEventListener('touchend', clearAll, false);
+    clear.addEventListener('click', clearAll, false);
+    board.appendChild(clear);
+
+    var trashElem = document.createElement('div');
+    trashElem.className = 'trash';
+    trashElem.innerHTML = '&#x2716;';
+    trashElem.setAttribute('role', 'button');
+    trashElem.setAttribute('aria-label', 'Trash');
+    board.appendChild(trashElem);
+    var trash = new Trash(trashElem);
+    trash.on('letterdeleted', function(letter, from) {
+        if (letter.origin && letter.origin._respawner) letter.origin._respawner.takeBack(letter);
+        notify('letterdeleted', letter, from);
+    });
+
     for (var i = 0; i < homes.length; i++) homes[i].update();
 
-    return { board: board, homes: homes };
+    built.board = board;
+    built.homes = homes;
+    built.respawners = respawnerList;
+    built.groups = groups;
+    built.trash = trash;
+    built.clear = function() { clearGroups(groups, notify); };
+    return built;
+}
+// How many of a letter a board has. The inventory is a count for every letter, or one for
+// each letter like { "a": 2, "t": 1 }, where letters that aren't listed have no limit.
+function inventoryCount(inventory, letter) {
+    if (typeof inventory == 'number') return inventory;
+    if (inventory && inventory.hasOwnProperty(letter)) return inventory[letter];
+    return null;
+}
+function allCorrect(groups) {
+    var progress = Group.progress(groups);
+    return progress.total > 0 && progress.found >= progress.total;
+}
+// Gently mark the homes of a misspelled group with letters that can't make any word, so
+// that the rest can stay.
+function markMistakes(group) {
+    var attempt = group.attempt();
+    var homes = group.homes();
+    for (var i = 0; i < homes.length; i++) {
+        if (attempt && attempt.wrong.indexOf(i) != -1) homes[i].element().classList.add('mistake');
+        else homes[i].element().classList.remove('mistake');
+    }
+}
+function clearGroups(groups, notify) {
+    notify('movesstarted');
+    Group.clearAll(groups);
+    notify('movesended');
+}
+// A quick horizontal swipe across an element clears its groups. Letters don't let their
+// touches through, so this only sees swipes that start on the row itself.
+var SWIPE_DISTANCE = 80;
+function addSwipeToClear(element, groups, notify) {
+    var start = null;
+    function down(x, y) { start = { x: x, y: y }; }
+    function up(x, y) {
+        if (!start) return;
+        var dx = Math.abs(x - start.x);
+        var dy = Math.abs(y - start.y);
+        start = null;
+        if (dx > SWIPE_DISTANCE && dy < dx / 2) clearGroups(groups, notify);
+    }
+    element.addEventListener('touchstart', function(e) { down(e.changedTouches[0].pageX, e.changedTouches[0].pageY); }, false);
+    element.addEventListener('touchend', function(e) { up(e.changedTouches[0].pageX, e.changedTouches[0].pageY); }, false);
+    element.addEventListener('touchcancel', function() { start = null; }, false);
+    element.addEventListener('mousedown', function(e) { down(e.pageX, e.pageY); }, false);
+    element.addEventListener('mouseup', function(e) { up(e.pageX, e.pageY); }, false);
 }
 
 // Launcher/start screen.
@@ -556,28 +1290,201 @@ function Launcher(boardDescriptions) {
     this._element = document.createElement('div');
     this._element.className = 'screen launcher';
     var self = this;
+    // Teachers can drop a board pack file onto the launcher to add its boards.
+    this._element.addEventListener('dragover', function(e) { e.preventDefault(); }, false);
+    this._element.addEventListener('drop', function(e) {
+        e.preventDefault();
+        var files = e.dataTransfer ? e.dataTransfer.files : [];
+        for (var i = 0; i < files.length; i++) self.loadFile(files[i]);
+    }, false);
+    this._progress = null;
+    this._observerFactories = [];
+    this._boardFilters = [];
+    this._tileNotes = [];
+    this._tiles = [];
+    if (boardDescriptions) this.addBoards(boardDescriptions);
+}
+// The launcher sends boardopen(boardId, built) with what Builder returned when a board is
+// opened, and boardclose(boardId) when it's closed.
+Events.mixin(Launcher.prototype);
+// Use a TBoard.Progress to remember what was done on each board.
+Launcher.prototype.setProgress = function(progress) {
+    this._progress = progress;
+    for (var i = 0; i < this._tiles.length; i++) this._updateStatus(this._tiles[i]);
+}
+Launcher.prototype.addBoards = function(boardDescriptions) {
     for (var i = 0; i < boardDescriptions.length; i++) {
         var desc = boardDescriptions[i];
         var launcher = document.createElement('div');
         launcher.className = 'launcher-item';
-        launcher.textContent = desc.title;
-        function addOpener(l, launcherElem, board) {
-            launcher.addEventListener('touchend', function() { l._open(launcherElem, board); }, false);
-            launcher.addEventListener('click', function() { l._open(launcherElem, board); }, false);
+        launcher.setAttribute('role', 'button');
+        var title = document.createTextNode(desc.title);
+        launcher.appendChild(title);
+        var status = document.createElement('div');
+        status.className = 'launcher-status';
+        launcher.appendChild(status);
+        var note = document.createElement('div');
+        note.className = 'launcher-note';
+        launcher.appendChild(note);
+        var tile = { element: launcher, title: title, status: status, note: note, desc: desc };
+        // Tiles can be opened from the keyboard too.
+        launcher.tabIndex = 0;
+        function addOpener(l, tile) {
+            tile.element.addEventListener('touchend', function() { l._open(tile.element, tile.desc); }, false);
+            tile.element.addEventListener('click', function() { l._open(tile.element, tile.desc); }, false);
+            tile.element.addEventListener('keydown', function(e) {
+                if (e.keyCode != 13 && e.keyCode != 32) return;
+                // The board listens for keys as soon as it's open, so it mustn't get this one.
+                e.stopPropagation();
+                e.preventDefault();
+                l._open(tile.element, tile.desc);
+            }, false);
         }
-        addOpener(this, launcher, desc.board);
+        addOpener(this, tile);
+        this._tiles.push(tile);
+        this._updateStatus(tile);
         this._element.appendChild(launcher);
     }
 }
+// Add a board, or replace the one with the same id.
+Launcher.prototype.saveBoard = function(desc) {
+    for (var i = 0; i < this._tiles.length; i++) {
+        var tile = this._tiles[i];
+        if (boardId(tile.desc) != boardId(desc)) continue;
+        tile.desc = desc;
+        tile.title.textContent = desc.title;
+        this._updateStatus(tile);
+        return;
+    }
+    this.addBoards([desc]);
+}
+Launcher.prototype.removeBoard = function(id) {
+    for (var i = 0; i < this._tiles.length; i++) {
+        if (boardId(this._tiles[i].desc) != id) continue;
+        this._element.removeChild(this._tiles[i].element);
+        this._tiles.splice(i, 1);
+        return;
+    }
+}
+// Add a function that makes an observer for each board that gets opened. It's called with the
+// board's description and can return null to skip that board. An observer has attach(items),
+// called with what Builder returned once the board is on screen, where it can listen to the
+// board's events (see Builder), and detach(), called when the board is closed.
+Launcher.prototype.addObserver = function(factory) {
+    this._observerFactories.push(factory);
+}
+// Add a function that can change a board's definition each time it's opened, like filling
+// in its sentences (see sentences.js). It's called with the description and the definition
+// so far, and returns the definition to use.
+Launcher.prototype.addBoardFilter = function(filter) {
+    this._boardFilters.push(filter);
+}
+// Add a function that gives a line of text for a board's tile, like a best score (see
+// challenge.js). It's called with the board's description whenever the tiles are updated
+// and returns the text, or null for nothing.
+Launcher.prototype.addTileNote = function(fn) {
+    this._tileNotes.push(fn);
+    for (var i = 0; i < this._tiles.length; i++) this._updateStatus(this._tiles[i]);
+}
+// Show how much of a board has been done, like "3/7", with a star once it's all done, and
+// any notes for it.
+Launcher.prototype._updateStatus = function(tile) {
+    var notes = [];
+    for (var i = 0; i < this._tileNotes.length; i++) {
+        var note = this._tileNotes[i](tile.desc);
+        if (note) notes.push(note);
+    }
+    tile.note.textContent = notes.join(' ');
+    var status = this._progress ? this._progress.status(boardId(tile.desc)) : null;
+    if (!status || !status.total) {
+        tile.status.textContent = '';
+        tile.element.classList.remove('complete');
+        tile.element.setAttribute('aria-label', 'Board ' + tile.desc.title);
+        return;
+    }
+    var complete = status.found == status.total;
+    tile.element.setAttribute('aria-label', 'Board ' + tile.desc.title + ', ' + status.found + ' of ' + status.total +
+        (complete ? ', all done' : ''));
+    tile.status.textContent = (complete ? '\u2605 ' : '') + status.found + '/' + status.total;
+    if (complete) tile.element.classList.add('complete');
+    else tile.element.classList.remove('complete');
+}
+// Load a board pack from a URL and add its boards. The optional callback gets (error, pack);
+// problems with the pack are also shown on the launcher so that teachers can see them.
+Launcher.prototype.load = function(url, callback) {
+    var self = this;
+    TBoard.BoardPack.load(url, function(error, pack) { self._packLoaded(error, pack, callback, url); });
+}
+// Load several board packs at once, adding their boards in the order the packs are listed
+// however quickly each one arrives, so that the tiles (and Launcher.nextBoard) always go the
+// same way. The optional callback is called once they've all been added.
+Launcher.prototype.loadAll = function(urls, callback) {
+    var self = this;
+    var loaded = [];
+    var next = 0;
+    function addReady() {
+        while (next < urls.length && loaded[next]) {
+            self._packLoaded(loaded[next].error, loaded[next].pack, null, urls[next]);
+            next++;
+        }
+        if (next == urls.length && callback) callback();
+    }
+    function loadPack(i) {
+        TBoard.BoardPack.load(urls[i], function(error, pack) {
+            loaded[i] = { error: error, pack: pack };
+            addReady();
+        });
+    }
+    for (var i = 0; i < urls.length; i++) loadPack(i);
+    if (!urls.length) addReady();
+}
+Launcher.prototype.loadFile = function(file, callback) {
+    var self = this;
+    TBoard.BoardPack.loadFile(file, function(error, pack) { self._packLoaded(error, pack, callback); });
+}
+Launcher.prototype._packLoaded = function(error, pack, callback, baseURL) {
+    if (error) this._showError(error);
+    else this.addBoards(TBoard.BoardPack.toDescriptions(pack, baseURL));
+    if (callback) callback(error, pack);
+}
+Launcher.prototype._showError = function(error) {
+    var e = document.createElement('div');
+    e.className = 'launcher-error';
+    var title = document.createElement('p');
+    title.textContent = error.message;
+    e.appendChild(title);
+    if (error.problems && error.problems.length) {
+        var ul = document.createElement('ul');
+        for (var i = 0; i < error.problems.length; i++) {
+            var li = document.createElement('li');
+            li.textContent = error.problems[i];
+            ul.appendChild(li);
+        }
+        e.appendChild(ul);
+    }
+    this._element.appendChild(e);
+}
 Launcher.prototype.element = function() { return this._element; }
+function boardId(desc) { return desc.id || desc.title; }
 Launcher.prototype._open = function(launcher, desc) {
-    var items = Builder(desc);
+    // Progress goes first so that it has put back any saved letters before the others attach.
+    var observers = [];
+    if (this._progress) observers.push(this._progress.track(boardId(desc)));
+    for (var i = 0; i < this._observerFactories.length; i++) {
+        var observer = this._observerFactories[i](desc);
+        if (observer) observers.push(observer);
+    }
+    var definition = desc.board;
+    for (var i = 0; i < this._boardFilters.length; i++) definition = this._boardFilters[i](desc, definition);
+    var items = Builder(definition, null);
     var board = items.board;
     var homes = items.homes;
     // Add a back button to the board.
     var back = document.createElement('div');
     back.className = 'back-button';
     back.innerHTML = '&#x21e6;';
+    back.setAttribute('role', 'button');
+    back.setAttribute('aria-label', 'Back to the boards');
     board.appendChild(back);
     
     // Terrible hacks; we shouldn't force so many recalcs :(.
@@ -596,6 +1503,9 @@ Launcher.prototype._open = function(launcher, desc) {
     document.body.appendChild(board);
 
     for (var i = 0; i < homes.length; i++) homes[i].update();
+    for (var i = 0; i < observers.length; i++)
+        if (observers[i].attach) observers[i].attach(items);
+    this.emit('boardopen', boardId(desc), items);
 
     document.body.offsetLeft;
 
@@ -607,17 +1517,54 @@ Launcher.prototype._open = function(launcher, desc) {
     this._element.style.pointerEvents = 'none';
 
 
-    function addBack(l, board, homes, boardTx) {
-        back.addEventListener('touchend', function() { l._back(board, homes, boardTx); }, false);
-        back.addEventListener('click', function() { l._back(board, homes, boardTx); }, false);
-    }
-    addBack(this, board, homes, boardTx);
+    this._current = { items: items, tx: boardTx, desc: desc, observers: observers };
+    var self = this;
+    function close() { self.close(); }
+    back.addEventListener('touchend', close, false);
+    back.addEventListener('click', close, false);
+    // Escape goes back too.
+    this._escape = function(e) {
+        if (e.keyCode != 27) return;
+        e.preventDefault();
+        self.close();
+    };
+    document.addEventListener('keydown', this._escape, false);
+}
+// The description of the board after the open one on the launcher, or null if there isn't
+// a board open or it's the last one.
+Launcher.prototype.nextBoard = function() {
+    if (!this._current) return null;
+    for (var i = 0; i < this._tiles.length - 1; i++)
+        if (boardId(this._tiles[i].desc) == boardId(this._current.desc)) return this._tiles[i + 1].desc;
+    return null;
+}
+// Close the open board and open the next one. The old board zooms back into its tile while
+// the new one zooms out of its own, without showing the launcher in between.
+Launcher.prototype.openNext = function() {
+    var next = this.nextBoard();
+    this.close();
+    if (!next) return;
+    for (var i = 0; i < this._tiles.length; i++)
+        if (this._tiles[i].desc == next) this._open(this._tiles[i].element, next);
 }
-Launcher.prototype._back = function(from, homes, tx) {
-    for (var i = 0; i < homes.length; i++)
-        homes[i].dispose();
+// Close the open board and zoom back out to the launcher.
+Launcher.prototype.close = function() {
+    var current = this._current;
+    if (!current) return;
+    delete this._current;
+    var from = current.items.board;
+    var items = current.items;
+    var observers = current.observers;
+    document.removeEventListener('keydown', this._escape, false);
+    for (var i = 0; i < items.homes.length; i++)
+        items.homes[i].dispose();
+    items.trash.dispose();
+    for (var i = 0; i < observers.length; i++)
+        if (observers[i].detach) observers[i].detach();
+    this.emit('boardclose', boardId(current.desc));
+    for (var i = 0; i < this._tiles.length; i++) this._updateStatus(this._tiles[i]);
     from.style.opacity = 0;
-    from.style[properties.transform] = tx;
+    from.style[properties.transform] = current.tx;
     from.style.pointerEvents = 'none';
     this._element.style.opacity = 1;
     this._element.style[properties.transform] = null;
@@ -630,15 +1577,17 @@ Launcher.prototype._back = function(from, homes, tx) {
 // Evil, but put it here.
 window.onload = function onload() {
     document.body.addEventListener('touchstart', function(e) { e.preventDefault(); e.stopPropagation(); }, false);
-    document.body.addEventListener('mousemove', function(e) { Letter.mousemove(e); }, false);
-    document.body.addEventListener('mouseup', function(e) { Letter.mouseup(e); }, false);
 }
 
 if (!window.TBoard) window.TBoard = {};
 window.TBoard.Respawner = Respawner;
 window.TBoard.Letter = Letter;
 window.TBoard.Home = Home;
+window.TBoard.Trash = Trash;
 window.TBoard.CompletionSet = CompletionSet;
+window.TBoard.Events = Events;
+window.TBoard.Dom = Dom;
+Group.patternWord = patternWord;
 window.TBoard.Group = Group;
 window.TBoard.Builder = Builder;
 window.TBoard.Launcher = Launcher;
@@ -0,0 +1,136 @@
+// BoardPack: loads and checks board definitions stored as JSON.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+//
+// A board pack is a versioned JSON document that holds a list of boards:
+//
+//  {
+//      "format": "tboard-pack",
+//      "version": 1,
+//      "title": "Short a",
+//      "boards": [
+//          {
+//              "id": "short-a-1",
+//              "title": "1",
+//              "letters": "alnpt",
+//              "left": [ { "completions": ["an", "at"], "word": "__" }, ... ],
+//              "right": [ { "completions": ["p", "t", "n"], "word": "_an", "limit": 2 }, ... ],
+//              "bottom": [ { "completions": ["an"], "word": "We r__ home." } ]
+//          }
+//      ]
+//  }
+//
+// Instead of "bottom" a board can have "sentences": { "count": 2, "tags": [...], "rotate": true }
+// to have its sentences picked from the sentence bank (see sentences.js), and "challenge":
+// { "time": 90 } makes it a race against the clock (see challenge.js). "inventory": { "a": 2,
+// "t": 1 } only gives it two "a"s and one "t" (or "inventory": 2 for two of every letter).
+// "dictation": true says each of its words for the child to spell (see dictation.js).
+//
+// The id is optional and defaults to the title; it's what we use to tell boards apart.
+//
+// The pack and each board can also have recordings to play for letters and words, with
+// the board's taking priority. URLs are relative to the pack:
+//
+//  "sounds": { "letters": { "a": "sounds/a.mp3" }, "words": { "cat": "sounds/cat.mp3" } }
+//
+var SECTIONS = ['left', 'right', 'bottom'];
+
+function resolveURL(base, url) {
+    if (!base || /^([a-z]+:|\/)/i.test(url)) return url;
+    return base.substring(0, base.lastIndexOf('/') + 1) + url;
+}
+
+// Combine the pack's sounds with a board's, making the URLs relative to the pack.
+function mergeSounds(packSounds, boardSounds, baseURL) {
+    var sounds = { letters: {}, words: {} };
+    var all = [packSounds, boardSounds];
+    for (var i = 0; i < all.length; i++) {
+        if (!all[i]) continue;
+        for (var kind in sounds) {
+            var clips = all[i][kind];
+            if (!clips) continue;
+            for (var k in clips)
+                if (clips.hasOwnProperty(k)) sounds[kind][k] = resolveURL(baseURL, clips[k]);
+        }
+    }
+    return sounds;
+}
+
+// Turn the boards in a pack into the { id, title, board } descriptions that Launcher takes.
+// The baseURL is where the pack came from, for finding its sounds.
+function toDescriptions(pack, baseURL) {
+    var descs = [];
+    for (var i = 0; i < pack.boards.length; i++) {
+        var b = pack.boards[i];
+        var board = { letters: b.letters };
+        for (var s = 0; s < SECTIONS.length; s++)
+            if (b.hasOwnProperty(SECTIONS[s])) board[SECTIONS[s]] = b[SECTIONS[s]];
+        if (b.sentences) board.sentences = b.sentences;
+        if (b.challenge) board.challenge = b.challenge;
+        if (b.inventory) board.inventory = b.inventory;
+        if (b.dictation) board.dictation = true;
+        if (pack.sounds || b.sounds) board.sounds = mergeSounds(pack.sounds, b.sounds, baseURL);
+        descs.push({ id: b.id || b.title, title: b.title, board: board });
+    }
+    return descs;
+}
+
+function packError(message, problems) {
+    var error = new Error(message);
+    error.problems = problems || [];
+    return error;
+}
+
+// Parse and check a pack from its JSON text (see validate.js for the checks). The callback gets (error, pack); a failed
+// check produces an error whose "problems" property lists everything that was wrong.
+function parse(text, source, callback) {
+    var pack;
+    try {
+        pack = JSON.parse(text);
+    } catch (e) {
+        callback(packError(source + ' isn\'t valid JSON: ' + e.message), null);
+        return;
+    }
+    // Warnings don't stop a pack from loading; run validate.js from node to see them.
+    var errors = TBoard.Validator.validatePack(pack).errorMessages();
+    if (errors.length) {
+        callback(packError(source + ' has ' + TBoard.Validator.plural(errors.length, 'problem') + '.', errors), null);
+        return;
+    }
+    callback(null, pack);
+}
+
+// Fetch a pack from a URL.
+function load(url, callback) {
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', url, true);
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState != 4) return;
+        // Status 0 is what we get for a successful load from a file:// URL.
+        if (xhr.status != 200 && !(xhr.status == 0 && xhr.responseText)) {
+            callback(packError('Couldn\'t load ' + url + ' (status ' + xhr.status + ').'), null);
+            return;
+        }
+        parse(xhr.responseText, url, callback);
+    };
+    xhr.send(null);
+}
+
+// Read a pack from a File, as given by an <input type="file"> or a drop.
+function loadFile(file, callback) {
+    var reader = new FileReader();
+    reader.onload = function() { parse(reader.result, file.name, callback); };
+    reader.onerror = function() { callback(packError('Couldn\'t read ' + file.name + '.'), null); };
+    reader.readAsText(file);
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.BoardPack = {
+    parse: parse,
+    load: load,
+    loadFile: loadFile,
+    toDescriptions: toDescriptions
+};
+})();
@@ -0,0 +1,379 @@
+// Profiles: lets several children share one tablet.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+// Events (see Profile.addEvent) are written out in batches, at most this often, since a child
+// makes one every time they drop a letter.
+var SAVE_DELAY = 2000;
+// Avatars are a picture and a colour so that children who can't read yet can find their own.
+var PICTURES = ['\u2605', '\u2665', '\u2600', '\u273f', '\u2602', '\u265e', '\u2708', '\u266b', '\u263a', '\u2693', '\u2744', '\u260e'];
+var COLORS = ['#e53935', '#fb8c00', '#fdd835', '#43a047', '#00acc1', '#1e88e5', '#8e24aa', '#d81b60', '#6d4c41', '#546e7a'];
+
+//
+// Profiles keeps the list of children in a store, under "profiles". Everything a child does
+// (progress, settings, history) lives in a separate store just for them, so that deleting
+// a profile can remove all of it.
+//
+function Profiles(store) {
+    this._store = store || new TBoard.Store();
+    this._records = this._store.get('profiles', []);
+    // Events that haven't been written out yet, by profile id.
+    this._pending = {};
+    this._timer = null;
+    // Write them out before the page goes away, or is put in the background where it might
+    // never come back.
+    var self = this;
+    window.addEventListener('pagehide', function() { self.flush(); }, false);
+    document.addEventListener('visibilitychange', function() { if (document.hidden) self.flush(); }, false);
+}
+// Profiles sends events(profile, events) with each batch of events just before it's written
+// to a child's profile, so profile.events() doesn't have them yet.
+TBoard.Events.mixin(Profiles.prototype);
+Profiles.prototype.list = function() {
+    var profiles = [];
+    for (var i = 0; i < this._records.length; i++) profiles.push(new Profile(this, this._records[i]));
+    return profiles;
+}
+Profiles.prototype.get = function(id) {
+    var idx = this._indexOf(id);
+    return idx == -1 ? null : new Profile(this, this._records[idx]);
+}
+Profiles.prototype._indexOf = function(id) {
+    for (var i = 0; i < this._records.length; i++)
+        if (this._records[i].id == id) return i;
+    return -1;
+}
+Profiles.prototype._save = function() { this._store.set('profiles', this._records); }
+Profiles.prototype._prefix = function(id) { return 'profile.' + id + '.'; }
+Profiles.prototype.add = function(name) {
+    var avatar = this._freeAvatar();
+    var record = { id: 'p' + new Date().getTime().toString(36) + Math.floor(Math.random() * 1000), name: name, avatar: avatar };
+    this._records.push(record);
+    this._save();
+    return new Profile(this, record);
+}
+// Give each new child an avatar that nobody else has: the first picture and the first colour
+// that nobody has, or once they've all been given out, the first pair that nobody has.
+Profiles.prototype._freeAvatar = function() {
+    var pictures = {}, colors = {}, pairs = {};
+    for (var i = 0; i < this._records.length; i++) {
+        var avatar = this._records[i].avatar;
+        pictures[avatar.picture] = true;
+        colors[avatar.color] = true;
+        pairs[avatar.picture + avatar.color] = true;
+    }
+    function first(list, used) {
+        for (var i = 0; i < list.length; i++)
+            if (!used.hasOwnProperty(list[i])) return list[i];
+        return null;
+    }
+    var picture = first(PICTURES, pictures), color = first(COLORS, colors);
+    if (picture || color) return { picture: picture || PICTURES[0], color: color || COLORS[0] };
+    for (var c = 0; c < COLORS.length; c++)
+        for (var p = 0; p < PICTURES.length; p++)
+            if (!pairs.hasOwnProperty(PICTURES[p] + COLORS[c])) return { picture: PICTURES[p], color: COLORS[c] };
+    return { picture: PICTURES[0], color: COLORS[0] };
+}
+Profiles.prototype.rename = function(id, name) {
+    var idx = this._indexOf(id);
+    if (idx == -1) return;
+    this._records[idx].name = name;
+    this._save();
+}
+// Step through the pictures, moving on to the next colour each time we've been round them all.
+Profiles.prototype.nextAvatar = function(id) {
+    var idx = this._indexOf(id);
+    if (idx == -1) return;
+    var avatar = this._records[idx].avatar;
+    var p = (PICTURES.indexOf(avatar.picture) + 1) % PICTURES.length;
+    var c = COLORS.indexOf(avatar.color);
+    if (p == 0) c = (c + 1) % COLORS.length;
+    this._records[idx].avatar = { picture: PICTURES[p], color: COLORS[c] };
+    this._save();
+}
+Profiles.prototype.remove = function(id) {
+    var idx = this._indexOf(id);
+    if (idx == -1) return;
+    this._records.splice(idx, 1);
+    this._save();
+    delete this._pending[id];
+    var keys = this._store.keys(this._prefix(id));
+    for (var i = 0; i < keys.length; i++) this._store.remove(keys[i]);
+}
+Profiles.prototype.storeFor = function(id) {
+    return this._store.scope(this._prefix(id));
+}
+Profiles.prototype._addEvent = function(id, event) {
+    if (!this._pending.hasOwnProperty(id)) this._pending[id] = [];
+    this._pending[id].push(event);
+    if (this._timer) return;
+    var self = this;
+    this._timer = window.setTimeout(function() {
+        self._timer = null;
+        self.flush();
+    }, SAVE_DELAY);
+}
+// Write out the events that are waiting to be saved.
+Profiles.prototype.flush = function() {
+    if (this._timer) window.clearTimeout(this._timer);
+    this._timer = null;
+    var pending = this._pending;
+    this._pending = {};
+    for (var id in pending) {
+        if (!pending.hasOwnProperty(id)) continue;
+        var profile = this.get(id);
+        if (!profile) continue;
+        this.emit('events', profile, pending[id]);
+        profile._store.set('events', trimEvents(profile._savedEvents().concat(pending[id])));
+    }
+}
+
+//
+// Profile, one child.
+//
+var MAX_HISTORY = 200;
+var MAX_EVENTS = 1000;
+
+function trimEvents(events) {
+    if (events.length > MAX_EVENTS) events.splice(0, events.length - MAX_EVENTS);
+    return events;
+}
+
+function Profile(profiles, record) {
+    this.id = record.id;
+    this.name = record.name;
+    this.avatar = record.avatar;
+    this._profiles = profiles;
+    this._store = profiles.storeFor(record.id);
+}
+Profile.prototype.store = function() { return this._store; }
+Profile.prototype.progress = function() { return new TBoard.Progress(this._store); }
+Profile.prototype.setting = function(name, fallback) {
+    var settings = this._store.get('settings', {});
+    return settings.hasOwnProperty(name) ? settings[name] : fallback;
+}
+Profile.prototype.setSetting = function(name, value) {
+    var settings = this._store.get('settings', {});
+    settings[name] = value;
+    this._store.set('settings', settings);
+}
+// History is a list of { time, what, board } records, newest last.
+Profile.prototype.history = function() { return this._store.get('history', []); }
+Profile.prototype.addHistory = function(what, boardId) {
+    var history = this.history();
+    history.push({ time: new Date().getTime(), what: what, board: boardId });
+    if (history.length > MAX_HISTORY) history.splice(0, history.length - MAX_HISTORY);
+    this._store.set('history', history);
+}
+// Events are what the child did on boards, for the teacher's reports (see report.js). Each
+// is an object with at least time, type and board. Only the latest MAX_EVENTS are kept, and
+// new ones are saved a batch at a time (see Profiles.flush).
+Profile.prototype.events = function() {
+    var pending = this._profiles._pending[this.id] || [];
+    return trimEvents(this._savedEvents().concat(pending));
+}
+Profile.prototype._savedEvents = function() { return this._store.get('events', []); }
+Profile.prototype.addEvent = function(event) {
+    event.time = new Date().getTime();
+    this._profiles._addEvent(this.id, event);
+}
+
+//
+// TeacherGate, unlocks teacher-only things when its element is held down for a while. Young
+// children don't find it by accident, and there's nothing to read.
+//
+var HOLD_TIME = 2000;
+
+function TeacherGate(element, onUnlock) {
+    this._element = element;
+    this._onUnlock = onUnlock;
+    var self = this;
+    function start(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        self._start();
+    }
+    function cancel() { self._cancel(); }
+    element.addEventListener('touchstart', start, false);
+    element.addEventListener('mousedown', start, false);
+    element.addEventListener('touchend', cancel, false);
+    element.addEventListener('touchcancel', cancel, false);
+    element.addEventListener('mouseup', cancel, false);
+    element.addEventListener('mouseout', cancel, false);
+}
+TeacherGate.prototype._start = function() {
+    var self = this;
+    this._cancel();
+    this._element.classList.add('holding');
+    this._timer = window.setTimeout(function() {
+        self._cancel();
+        self._onUnlock();
+    }, HOLD_TIME);
+}
+TeacherGate.prototype._cancel = function() {
+    this._element.classList.remove('holding');
+    if (!this._timer) return;
+    window.clearTimeout(this._timer);
+    delete this._timer;
+}
+
+//
+// ProfilePicker, the screen in front of the launcher where each child taps their avatar.
+// Picking a profile points the launcher at that child's progress and records in their
+// history which boards they open.
+//
+function ProfilePicker(profiles, launcher) {
+    this._profiles = profiles;
+    this._launcher = launcher;
+    this._current = null;
+    this._teacherMode = false;
+
+    this._element = document.createElement('div');
+    this._element.className = 'screen profiles';
+    this._list = document.createElement('div');
+    this._list.className = 'profile-list';
+    this._element.appendChild(this._list);
+
+    var self = this;
+    var gear = document.createElement('div');
+    gear.className = 'teacher-button';
+    gear.innerHTML = '&#x2699;';
+    gear.setAttribute('role', 'button');
+    gear.setAttribute('aria-label', 'Teacher settings (hold down)');
+    this._element.appendChild(gear);
+    new TeacherGate(gear, function() { self.setTeacherMode(true); });
+
+    // A button on the launcher to get back here and change child.
+    this._switchButton = document.createElement('div');
+    this._switchButton.className = 'profile-button';
+    this._switchButton.setAttribute('role', 'button');
+    this._switchButton.setAttribute('aria-label', 'Change child');
+    function goBack(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        self.show();
+    }
+    this._switchButton.addEventListener('touchend', goBack, false);
+    this._switchButton.addEventListener('click', goBack, false);
+    launcher.element().appendChild(this._switchButton);
+
+    launcher.on('boardopen', function(boardId) { if (self._current) self._current.addHistory('open', boardId); });
+    launcher.on('boardclose', function(boardId) { if (self._current) self._current.addHistory('close', boardId); });
+
+    this._render();
+}
+ProfilePicker.prototype.element = function() { return this._element; }
+ProfilePicker.prototype.current = function() { return this._current; }
+ProfilePicker.prototype.setTeacherMode = function(teacherMode) {
+    this._teacherMode = teacherMode;
+    this._render();
+}
+ProfilePicker.prototype.show = function() {
+    this._current = null;
+    this._launcher.setProgress(null);
+    this._render();
+    this._element.style.opacity = 1;
+    this._element.style.pointerEvents = null;
+}
+ProfilePicker.prototype._pick = function(profile) {
+    this._current = profile;
+    this._launcher.setProgress(profile.progress());
+    this._switchButton.textContent = profile.avatar.picture;
+    this._switchButton.style.backgroundColor = profile.avatar.color;
+    this._element.style.opacity = 0;
+    this._element.style.pointerEvents = 'none';
+}
+ProfilePicker.prototype._render = function() {
+    this._list.innerHTML = '';
+    if (this._teacherMode) this._element.classList.add('teacher');
+    else this._element.classList.remove('teacher');
+
+    var profiles = this._profiles.list();
+    for (var i = 0; i < profiles.length; i++) this._list.appendChild(this._renderProfile(profiles[i]));
+
+    // With nobody set up yet there's nothing for a child to do, so let the teacher add someone
+    // without having to unlock first.
+    if (this._teacherMode || profiles.length == 0) {
+        var self = this;
+        var add = document.createElement('div');
+        add.className = 'profile-item profile-add';
+        add.textContent = '+';
+        add.setAttribute('aria-label', 'Add a profile');
+        addTap(add, function() {
+            var name = window.prompt('Name for the new profile:');
+            if (name) self._profiles.add(name);
+            self._render();
+        });
+        this._list.appendChild(add);
+    }
+    if (this._teacherMode) {
+        var self = this;
+        var done = document.createElement('div');
+        done.className = 'profile-done';
+        done.innerHTML = '&#x2714;';
+        done.setAttribute('aria-label', 'Done');
+        addTap(done, function() { self.setTeacherMode(false); });
+        this._list.appendChild(done);
+    }
+}
+ProfilePicker.prototype._renderProfile = function(profile) {
+    var self = this;
+    var item = document.createElement('div');
+    item.className = 'profile-item';
+    var avatar = document.createElement('div');
+    avatar.className = 'profile-avatar';
+    avatar.textContent = profile.avatar.picture;
+    avatar.style.backgroundColor = profile.avatar.color;
+    avatar.setAttribute('aria-hidden', 'true');
+    item.appendChild(avatar);
+    var name = document.createElement('div');
+    name.className = 'profile-name';
+    name.textContent = profile.name;
+    item.appendChild(name);
+
+    if (!this._teacherMode) {
+        addTap(item, function() { self._pick(profile); });
+        return item;
+    }
+    // Teachers can tap the avatar to change it, and get rename and delete buttons.
+    avatar.removeAttribute('aria-hidden');
+    avatar.setAttribute('aria-label', 'Change picture for ' + profile.name);
+    addTap(avatar, function() {
+        self._profiles.nextAvatar(profile.id);
+        self._render();
+    });
+    var rename = document.createElement('div');
+    rename.className = 'profile-rename';
+    rename.innerHTML = '&#x270e;';
+    rename.setAttribute('aria-label', 'Rename ' + profile.name);
+    addTap(rename, function() {
+        var newName = window.prompt('New name for ' + profile.name + ':', profile.name);
+        if (newName) self._profiles.rename(profile.id, newName);
+        self._render();
+    });
+    item.appendChild(rename);
+    var remove = document.createElement('div');
+    remove.className = 'profile-delete';
+    remove.innerHTML = '&#x2716;';
+    remove.setAttribute('aria-label', 'Delete ' + profile.name);
+    addTap(remove, function() {
+        if (window.confirm('Delete ' + profile.name + ' and all of their progress?')) self._profiles.remove(profile.id);
+        self._render();
+    });
+    item.appendChild(remove);
+    return item;
+}
+
+// Call fn on a tap, without also getting the click that follows a touchend.
+function addTap(element, fn) {
+    element.setAttribute('role', 'button');
+    element.addEventListener('touchend', function(e) { e.stopPropagation(); e.preventDefault(); fn(); }, false);
+    element.addEventListener('click', function(e) { e.stopPropagation(); fn(); }, false);
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Profiles = Profiles;
+window.TBoard.TeacherGate = TeacherGate;
+window.TBoard.ProfilePicker = ProfilePicker;
+})();
@@ -0,0 +1,145 @@
+// Progress: remembers what was spelled on each board.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+//
+// For each board we keep the letters in every group (so that a half-finished board can be
+// put back the way it was left) and the completions that each group has found. We also keep
+// how many groups were correct out of how many can be (see Group.progress) so the launcher
+// can show it without having to build the board, and the latest misspellings. Everything is
+// keyed by the board id and the group id from Builder:
+//
+//  progress.<boardId> = {
+//      groups: { 'left.1.0': { pattern: '___', letters: ['t', 'a', null], found: ['tap'] }, ... },
+//      found: 3,
+//      total: 7,
+//      mistakes: [{ group: 'left.1.0', pattern: '___', spelling: 'pta', intended: 'pat', time: ... }, ...]
+//  }
+//
+var MAX_MISTAKES = 50;
+
+function Progress(store) {
+    this._store = store || new TBoard.Store();
+}
+Progress.prototype._key = function(boardId) { return 'progress.' + boardId; }
+Progress.prototype.load = function(boardId) {
+    return this._store.get(this._key(boardId), null);
+}
+Progress.prototype.save = function(boardId, state) {
+    this._store.set(this._key(boardId), state);
+}
+Progress.prototype.clear = function(boardId) {
+    this._store.remove(this._key(boardId));
+}
+// Returns { found, total } for a board, or null if it has never been opened.
+Progress.prototype.status = function(boardId) {
+    var state = this.load(boardId);
+    if (!state) return null;
+    return { found: state.found, total: state.total };
+}
+// The misspellings made on a board, oldest first.
+Progress.prototype.mistakes = function(boardId) {
+    var state = this.load(boardId);
+    return (state && state.mistakes) || [];
+}
+// Make an observer that records progress on one board (see Launcher.addObserver).
+Progress.prototype.track = function(boardId) {
+    return new BoardProgress(this, boardId);
+}
+
+//
+// BoardProgress watches the groups of one open board. Call attach with what Builder
+// returned.
+//
+function BoardProgress(progress, boardId) {
+    this._progress = progress;
+    this._boardId = boardId;
+    this._groups = [];
+    this._state = progress.load(boardId) || { groups: {}, found: 0, total: 0 };
+    if (!this._state.groups) this._state.groups = {};
+    if (!this._state.mistakes) this._state.mistakes = [];
+}
+BoardProgress.prototype._unmatched = function(group) {
+    // Putting back a misspelling that was left on the board isn't a new one.
+    var attempt = group.attempt();
+    if (attempt && !this._restoring) {
+        var mistakes = this._state.mistakes;
+        mistakes.push({
+            group: group.id,
+            pattern: group.pattern,
+            spelling: attempt.spelling.join(''),
+            intended: attempt.intended ? attempt.intended.join('') : null,
+            time: new Date().getTime()
+        });
+        if (mistakes.length > MAX_MISTAKES) mistakes.splice(0, mistakes.length - MAX_MISTAKES);
+    }
+    this._changed(group);
+}
+BoardProgress.prototype._groupState = function(group) {
+    if (!this._state.groups.hasOwnProperty(group.id))
+        this._state.groups[group.id] = { letters: [], found: [] };
+    var state = this._state.groups[group.id];
+    // A group with the same id can have a different word once the board has been edited, or
+    // its sentences have changed; what was found for the old word doesn't count.
+    if (state.pattern && state.pattern != group.pattern) {
+        state.letters = [];
+        state.found = [];
+    }
+    state.pattern = group.pattern;
+    return state;
+}
+BoardProgress.prototype._changed = function(group) {
+    var state = this._groupState(group);
+    state.letters = group.spelling();
+    if (group.state() == 'correct') {
+        var word = group.completionText();
+        if (state.found.indexOf(word) == -1) state.found.push(word);
+    }
+    if (!this._restoring) this._save();
+}
+BoardProgress.prototype._save = function() {
+    var progress = TBoard.Group.progress(this._groups);
+    this._state.found = progress.found;
+    this._state.total = progress.total;
+    this._progress.save(this._boardId, this._state);
+}
+// Attach to a built board ({ groups, respawners } from Builder) and put back any letters
+// that were left on it last time.
+BoardProgress.prototype.attach = function(built) {
+    this._groups = built.groups;
+    var self = this;
+    function changed(group) { self._changed(group); }
+    built.on('groupcomplete', changed);
+    built.on('groupduplicate', changed);
+    built.on('groupunmatched', function(group) { self._unmatched(group); });
+    var respawners = {};
+    for (var i = 0; i < built.respawners.length; i++)
+        respawners[built.respawners[i].text()] = built.respawners[i];
+
+    this._restoring = true;
+    for (var g = 0; g < built.groups.length; g++) {
+        var group = built.groups[g];
+        if (!this._state.groups.hasOwnProperty(group.id)) continue;
+        var saved = this._state.groups[group.id];
+        if (saved.pattern && saved.pattern != group.pattern) continue;
+        var letters = saved.letters;
+        var homes = group.homes();
+        for (var h = 0; h < homes.length && h < letters.length; h++) {
+            if (!letters[h] || !respawners.hasOwnProperty(letters[h])) continue;
+            // A board with only so many of a letter might not have one left.
+            var letter = respawners[letters[h]].letter();
+            if (letter) letter.moveTo(homes[h]);
+        }
+    }
+    delete this._restoring;
+    this._save();
+}
+// Returns { found, total } for the board as it is now.
+BoardProgress.prototype.status = function() {
+    return { found: this._state.found, total: this._state.total };
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Progress = Progress;
+})();
@@ -0,0 +1,312 @@
+// Reports: what each child did on the boards, for teachers.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+// How many of a child's most common misspellings, and dictation words that took them the
+// most tries, to show.
+var TOP_MISSPELLINGS = 5;
+var TOP_RETRIES = 5;
+
+var element = TBoard.Dom.element;
+var button = TBoard.Dom.button;
+var download = TBoard.Dom.download;
+
+//
+// ActivityLog is a board observer (see Launcher.addObserver) that records what the current
+// child does in their profile's events: every letter put in a row ("placed"), every word
+// that's right ("matched"), already used ("duplicate") or wrong ("nomatch", with what they
+// spelled and the word they probably meant), and how long the board was open ("time").
+//
+function ActivityLog(picker) {
+    this._picker = picker;
+}
+ActivityLog.prototype.observer = function(desc) {
+    var profile = this._picker.current();
+    if (!profile) return null;
+    return new BoardLog(profile, desc.id || desc.title);
+}
+
+function BoardLog(profile, boardId) {
+    this._profile = profile;
+    this._boardId = boardId;
+    this._groups = [];
+    this._attached = false;
+}
+BoardLog.prototype.attach = function(items) {
+    this._groups = items.groups;
+    this._opened = new Date().getTime();
+    var self = this;
+    items.on('letterplaced', function(letter, from, to) { self._letterPlaced(letter, from, to); });
+    items.on('groupcomplete', function(group) { self._groupComplete(group); });
+    items.on('groupduplicate', function(group) { self._groupDuplicate(group); });
+    items.on('groupunmatched', function(group) { self._groupUnmatched(group); });
+    this._attached = true;
+}
+BoardLog.prototype.detach = function() {
+    this._attached = false;
+    this._add({ type: 'time', duration: new Date().getTime() - this._opened });
+}
+BoardLog.prototype._add = function(event) {
+    event.board = this._boardId;
+    this._profile.addEvent(event);
+}
+BoardLog.prototype._groupFor = function(home) {
+    for (var i = 0; i < this._groups.length; i++)
+        if (this._groups[i].homes().indexOf(home) != -1) return this._groups[i];
+    return null;
+}
+BoardLog.prototype._letterPlaced = function(letter, from, to) {
+    var group = this._groupFor(to);
+    if (!this._attached || !group) return;
+    this._add({ type: 'placed', group: group.id, letter: letter.text() });
+}
+BoardLog.prototype._groupComplete = function(group) {
+    if (this._attached) this._add({ type: 'matched', group: group.id, word: group.completionText() });
+}
+BoardLog.prototype._groupDuplicate = function(group) {
+    if (this._attached) this._add({ type: 'duplicate', group: group.id, word: group.completionText() });
+}
+BoardLog.prototype._groupUnmatched = function(group) {
+    var attempt = group.attempt();
+    if (!this._attached || !attempt) return;
+    this._add({
+        type: 'nomatch',
+        group: group.id,
+        pattern: group.pattern,
+        spelling: attempt.spelling.join(''),
+        intended: attempt.intended ? attempt.intended.join('') : null
+    });
+}
+
+//
+// The event log only keeps a child's latest events (see Profile.addEvent), so the reports
+// work from running totals instead, which the Dashboard keeps up to date as each batch of
+// events is saved. They're made from the log the first time they're needed.
+//
+function emptyTotals() {
+    return { boards: {}, placed: 0, matched: 0, duplicate: 0, nomatch: 0, time: 0, misspellings: {}, retried: {} };
+}
+function tally(totals, e) {
+    totals.boards[e.board] = true;
+    if (e.type == 'placed') totals.placed++;
+    else if (e.type == 'matched') totals.matched++;
+    else if (e.type == 'duplicate') totals.duplicate++;
+    else if (e.type == 'time') totals.time += e.duration;
+    else if (e.type == 'nomatch') {
+        totals.nomatch++;
+        var k = e.pattern + ' ' + e.spelling;
+        if (!totals.misspellings.hasOwnProperty(k))
+            totals.misspellings[k] = { pattern: e.pattern, spelling: e.spelling, intended: e.intended || null, count: 0 };
+        totals.misspellings[k].count++;
+    } else if (e.type == 'dictation' && e.retries) {
+        if (!totals.retried.hasOwnProperty(e.word)) totals.retried[e.word] = { word: e.word, retries: 0 };
+        totals.retried[e.word].retries += e.retries;
+    }
+}
+function totalsFor(profile) {
+    var totals = profile.store().get('report.totals', null);
+    if (totals) return totals;
+    totals = emptyTotals();
+    var events = profile.events();
+    for (var i = 0; i < events.length; i++) tally(totals, events[i]);
+    profile.store().set('report.totals', totals);
+    return totals;
+}
+function addToTotals(profile, events) {
+    // The log doesn't have these events yet (see Profiles.flush), so they're added on top.
+    var totals = totalsFor(profile);
+    for (var i = 0; i < events.length; i++) tally(totals, events[i]);
+    profile.store().set('report.totals', totals);
+}
+function values(map) {
+    var list = [];
+    for (var k in map)
+        if (map.hasOwnProperty(k)) list.push(map[k]);
+    return list;
+}
+
+//
+// Summarize what a child has done: how many letters they placed, how many words they got
+// right, wrong or repeated, their accuracy (the share of finished words that were right), how
+// long they spent on boards, which wrong spellings they made most often and which dictation
+// words (see dictation.js) took them more than one try.
+//
+function summarize(profile) {
+    var totals = totalsFor(profile);
+    var summary = {
+        id: profile.id, name: profile.name, boards: values(totals.boards).length, placed: totals.placed,
+        matched: totals.matched, duplicate: totals.duplicate, nomatch: totals.nomatch, time: totals.time,
+        hints: 0, accuracy: null, misspellings: values(totals.misspellings), retried: values(totals.retried)
+    };
+    var words = summary.matched + summary.duplicate + summary.nomatch;
+    if (words) summary.accuracy = summary.matched / words;
+    summary.misspellings.sort(function(a, b) { return b.count - a.count; });
+    summary.misspellings = summary.misspellings.slice(0, TOP_MISSPELLINGS);
+    summary.retried.sort(function(a, b) { return b.retries - a.retries; });
+    summary.retried = summary.retried.slice(0, TOP_RETRIES);
+    // Hints are counted by hints.js.
+    var hints = profile.store().get('hints', {});
+    for (var k in hints)
+        if (hints.hasOwnProperty(k)) summary.hints += hints[k];
+    return summary;
+}
+
+function formatAccuracy(accuracy) { return accuracy === null ? '-' : Math.round(accuracy * 100) + '%'; }
+function formatTime(ms) {
+    var minutes = Math.round(ms / 60000);
+    return minutes < 1 ? '<1 min' : minutes + ' min';
+}
+function formatMisspellings(misspellings) {
+    var parts = [];
+    for (var i = 0; i < misspellings.length; i++) {
+        var m = misspellings[i];
+        var meant = m.intended ? ' for ' + m.intended : '';
+        parts.push(m.spelling + meant + ' (' + m.pattern + ')' + (m.count > 1 ? ' x' + m.count : ''));
+    }
+    return parts.join('; ');
+}
+function formatRetried(retried) {
+    var parts = [];
+    for (var i = 0; i < retried.length; i++)
+        parts.push(retried[i].word + (retried[i].retries > 1 ? ' x' + retried[i].retries : ''));
+    return parts.join('; ');
+}
+var COLUMNS = [
+    { title: 'Child', value: function(s) { return s.name; } },
+    { title: 'Boards', value: function(s) { return s.boards; } },
+    { title: 'Letters', value: function(s) { return s.placed; } },
+    { title: 'Right', value: function(s) { return s.matched; } },
+    { title: 'Wrong', value: function(s) { return s.nomatch; } },
+    { title: 'Repeated', value: function(s) { return s.duplicate; } },
+    { title: 'Accuracy', value: function(s) { return formatAccuracy(s.accuracy); } },
+    { title: 'Time', value: function(s) { return formatTime(s.time); } },
+    { title: 'Hints', value: function(s) { return s.hints; } },
+    { title: 'Common misspellings', value: function(s) { return formatMisspellings(s.misspellings); } },
+    { title: 'Dictation retries', value: function(s) { return formatRetried(s.retried); } }
+];
+
+// Spreadsheets treat a field that starts with "=", "+", "-" or "@" as a formula, so a name or
+// a word like that gets a "'" in front to keep it as text. A "-" on its own is just no value.
+function csvField(value) {
+    value = String(value);
+    if (/^[=+\-@\t\r]/.test(value) && value != '-') value = "'" + value;
+    if (/[",\n]/.test(value)) return '"' + value.replace(/"/g, '""') + '"';
+    return value;
+}
+
+//
+// Dashboard is the teacher's screen with a row for each child, which can be downloaded as
+// CSV (the same table) or JSON (the summaries and the events still in the log). It covers
+// everything each child has done since the dashboard was first set up. It's opened by
+// holding down a button on the profile screen and then typing the teacher's PIN, which is
+// chosen the first time. The PIN only keeps curious children out; it's kept in the store as it is.
+//
+function Dashboard(profiles, picker, store) {
+    this._profiles = profiles;
+    this._store = store || new TBoard.Store();
+    profiles.on('events', addToTotals);
+
+    var self = this;
+    var open = element('div', 'teacher-button dashboard-button');
+    open.innerHTML = '&#x2637;';
+    open.setAttribute('role', 'button');
+    open.setAttribute('aria-label', 'Teacher reports (hold down)');
+    picker.element().appendChild(open);
+    new TBoard.TeacherGate(open, function() { self.unlock(); });
+
+    this._element = element('div', 'screen dashboard');
+    this._element.style.opacity = 0;
+    this._element.style.pointerEvents = 'none';
+    // The body stops touches to keep the page from scrolling, but the table needs to scroll.
+    this._element.addEventListener('touchstart', function(e) { e.stopPropagation(); }, false);
+    var toolbar = element('div', 'dashboard-toolbar');
+    toolbar.appendChild(button('dashboard-csv', 'Export CSV', function() { self.exportCSV(); }));
+    toolbar.appendChild(button('dashboard-json', 'Export JSON', function() { self.exportJSON(); }));
+    toolbar.appendChild(button('dashboard-pin', 'Change PIN', function() { self._choosePin(); }));
+    toolbar.appendChild(button('dashboard-close', 'Close', function() { self.close(); }));
+    this._element.appendChild(toolbar);
+    this._table = element('table', 'dashboard-table');
+    this._element.appendChild(this._table);
+}
+Dashboard.prototype.element = function() { return this._element; }
+// Ask for the PIN (or for a new one if there isn't one yet) and open if it's right.
+Dashboard.prototype.unlock = function() {
+    var pin = this._store.get('teacher.pin', null);
+    if (pin === null) {
+        if (this._choosePin()) this.open();
+        return;
+    }
+    var entered = window.prompt('Teacher PIN:');
+    if (entered === null) return;
+    if (entered != pin) {
+        window.alert('That PIN isn\'t right.');
+        return;
+    }
+    this.open();
+}
+Dashboard.prototype._choosePin = function() {
+    var pin = window.prompt('Choose a PIN for the teacher reports:');
+    if (!pin) return false;
+    this._store.set('teacher.pin', pin);
+    return true;
+}
+Dashboard.prototype.open = function() {
+    this._render();
+    this._element.style.opacity = 1;
+    this._element.style.pointerEvents = null;
+}
+Dashboard.prototype.close = function() {
+    this._element.style.opacity = 0;
+    this._element.style.pointerEvents = 'none';
+}
+Dashboard.prototype.summaries = function() {
+    this._profiles.flush();
+    var profiles = this._profiles.list();
+    var summaries = [];
+    for (var i = 0; i < profiles.length; i++) summaries.push(summarize(profiles[i]));
+    return summaries;
+}
+Dashboard.prototype._render = function() {
+    this._table.innerHTML = '';
+    var row = element('tr');
+    for (var c = 0; c < COLUMNS.length; c++) row.appendChild(element('th', null, COLUMNS[c].title));
+    this._table.appendChild(row);
+    var summaries = this.summaries();
+    for (var i = 0; i < summaries.length; i++) {
+        row = element('tr');
+        for (var c = 0; c < COLUMNS.length; c++)
+            row.appendChild(element('td', null, String(COLUMNS[c].value(summaries[i]))));
+        this._table.appendChild(row);
+    }
+}
+Dashboard.prototype.csv = function() {
+    var lines = [];
+    var fields = [];
+    for (var c = 0; c < COLUMNS.length; c++) fields.push(csvField(COLUMNS[c].title));
+    lines.push(fields.join(','));
+    var summaries = this.summaries();
+    for (var i = 0; i < summaries.length; i++) {
+        fields = [];
+        for (var c = 0; c < COLUMNS.length; c++) fields.push(csvField(COLUMNS[c].value(summaries[i])));
+        lines.push(fields.join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+Dashboard.prototype.json = function() {
+    this._profiles.flush();
+    var profiles = this._profiles.list();
+    var children = [];
+    for (var i = 0; i < profiles.length; i++)
+        children.push({ summary: summarize(profiles[i]), events: profiles[i].events() });
+    return JSON.stringify({ exported: new Date().getTime(), children: children }, null, 4);
+}
+Dashboard.prototype.exportCSV = function() { download('tboard-report.csv', 'text/csv', this.csv()); }
+Dashboard.prototype.exportJSON = function() { download('tboard-report.json', 'application/json', this.json()); }
+
+Dashboard.summarize = summarize;
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.ActivityLog = ActivityLog;
+window.TBoard.Dashboard = Dashboard;
+})();
@@ -0,0 +1,243 @@
+// SentenceBank: fills in a board's sentences from a bank of simple ones.
+// Copyright 2013 (C) Ralph Thomas
+//
+// This only needs validate.js, so it works in the browser (as TBoard.SentenceBank) and from
+// node.
+//
+
+(function() {
+
+//
+// Each sentence has one word in brackets that can be turned into a blank, with any other
+// words that would also make sense there after a "|". The tags say what the sentence is
+// about, so that a board can ask for sentences about animals, say.
+//
+var SENTENCES = [
+    { text: 'I have a black [cat|cap].', tags: ['animals', 'clothes'] },
+    { text: 'We [ran] home.', tags: ['home'] },
+    { text: 'The [pan|pot] is hot!', tags: ['home', 'food'] },
+    { text: 'I like to ride in a [van].', tags: ['travel'] },
+    { text: 'Do you like [jam|ham]?', tags: ['food'] },
+    { text: 'The car was in a [crash]!', tags: ['travel'] },
+    { text: 'Do you like to run on the [track]?', tags: ['play'] },
+    { text: 'My dog is a [tan] color.', tags: ['animals'] },
+    { text: 'My cat is [fat].', tags: ['animals'] },
+    { text: 'We went to the [bank].', tags: ['town'] },
+    { text: 'The [man] has a hat.', tags: ['people'] },
+    { text: 'Dad has a [map].', tags: ['people', 'travel'] },
+    { text: 'The cat sat on the [mat].', tags: ['animals', 'home'] },
+    { text: 'Put the [cap|hat] on.', tags: ['clothes'] },
+    { text: 'The [rat] ran and ran.', tags: ['animals'] },
+    { text: 'I [sat] on a rug.', tags: ['home'] },
+    { text: 'I can [clap].', tags: ['play'] },
+    { text: 'Mom took a [nap].', tags: ['people', 'home'] },
+    { text: 'I [had] a bath.', tags: ['home'] },
+    { text: 'Pass the [salt].', tags: ['food'] },
+    { text: 'The [hen] is in the pen.', tags: ['animals'] },
+    { text: 'I have a red [pen].', tags: ['school'] },
+    { text: 'My [pet] is a dog.', tags: ['animals'] },
+    { text: 'I can count to [ten].', tags: ['school'] },
+    { text: 'The [bed] is soft.', tags: ['home'] },
+    { text: 'The dog got [wet].', tags: ['animals'] },
+    { text: 'I [fell] down.', tags: ['play'] },
+    { text: 'The [bell] rang.', tags: ['school'] },
+    { text: 'We slept in a [tent].', tags: ['play'] },
+    { text: 'The bird is in its [nest].', tags: ['animals'] },
+    { text: 'The [pig] is big.', tags: ['animals'] },
+    { text: 'I can [sit|sip] here.', tags: ['home'] },
+    { text: 'Do not [tip] it over.', tags: ['home'] },
+    { text: 'The [pin] is sharp.', tags: ['school'] },
+    { text: 'I [hit] the ball.', tags: ['play'] },
+    { text: 'We [win|dig] at the park.', tags: ['play'] },
+    { text: 'Put the [lid] on the pot.', tags: ['home', 'food'] },
+    { text: 'The [fish] can swim.', tags: ['animals'] },
+    { text: 'I [wish] I could fly.', tags: ['play'] },
+    { text: 'The [ship] is on the sea.', tags: ['travel'] },
+    { text: 'I like to [swim].', tags: ['play'] },
+    { text: 'The [dog] ran fast.', tags: ['animals'] },
+    { text: 'The pot is [hot].', tags: ['home', 'food'] },
+    { text: 'The [frog] can hop.', tags: ['animals'] },
+    { text: 'A [fox] is in the box.', tags: ['animals'] },
+    { text: 'I [got] a new book.', tags: ['school'] },
+    { text: 'Please [stop]!', tags: ['travel'] },
+    { text: 'The [sun] is up.', tags: ['weather'] },
+    { text: 'I like to [run].', tags: ['play'] },
+    { text: 'The [bug] is on the rug.', tags: ['animals', 'home'] },
+    { text: 'I have a [cup].', tags: ['food', 'home'] },
+    { text: 'We had [fun].', tags: ['play'] },
+    { text: 'The [bus] is big.', tags: ['travel'] },
+    { text: 'I can [jump].', tags: ['play'] },
+    { text: 'We ate [lunch].', tags: ['food', 'school'] },
+    { text: 'Give me a [hug].', tags: ['people'] },
+    { text: 'Can I have a [chip]?', tags: ['food'] },
+    { text: 'We [chat] on the phone.', tags: ['people'] },
+    { text: 'I [think] it will rain.', tags: ['weather'] },
+    { text: 'Thank you for the [gift].', tags: ['people'] },
+    { text: 'I can [sing] a song.', tags: ['school', 'play'] },
+    { text: 'The [king] has a ring.', tags: ['people'] },
+    { text: 'I can [spin] the top.', tags: ['play'] },
+    { text: 'The [milk] is cold.', tags: ['food'] },
+    { text: 'Put the plant in the [sand].', tags: ['play'] },
+    { text: 'A [skunk] has a stripe.', tags: ['animals'] }
+];
+
+var Validator = typeof module != 'undefined' && module.exports ? require('./validate.js') : window.TBoard.Validator;
+var blanks = Validator.blanks;
+var segment = Validator.segment;
+var spellWith = Validator.spellWith;
+var isVowel = Validator.isVowel;
+
+// Split a word into its onset (the consonants before the first vowel) and its rime.
+function splitWord(word) {
+    var v = 0;
+    while (v < word.length && !isVowel(word.charAt(v))) v++;
+    if (v == word.length) v = 0;
+    return { onset: word.substring(0, v), rime: word.substring(v) };
+}
+
+// A small random number generator, so that the same board gets the same sentences each time
+// unless it asks for them to rotate.
+function seededRandom(seed) {
+    var h = 0;
+    for (var i = 0; i < seed.length; i++) h = (h * 31 + seed.charCodeAt(i)) | 0;
+    return function() {
+        h = (h * 1103515245 + 12345) | 0;
+        return ((h >>> 16) & 0x7fff) / 0x8000;
+    };
+}
+
+//
+// SentenceBank makes cloze prompts (bottom entries) out of its sentences. When one of the
+// board's rows makes the bracketed word, the sentence blanks the same tiles as that row (the
+// one with the fewest blanks, if there are a few), so an onset digraph or blend like the
+// "sh" of "_ip" gets practised in sentences too. Otherwise the rime of the word is blanked
+// out, so that only it has to be spellable from the board's letters, like "Do you like j__?"
+// on a board without a "j".
+//
+function SentenceBank(sentences) {
+    this._sentences = sentences || SENTENCES;
+}
+SentenceBank.prototype.sentences = function() { return this._sentences; }
+// Make a bottom entry ({ completions, word }) from a sentence for a board with the given
+// letters (a string or a list of tiles) and rows (its left and right entries, if it has
+// any), or return null if none of its words can be spelled.
+SentenceBank.prototype.cloze = function(sentence, letters, rows) {
+    var match = /\[([^\]]+)\]/.exec(sentence.text);
+    if (!match) return null;
+    var words = match[1].split('|');
+    var before = sentence.text.substring(0, match.index);
+    var after = sentence.text.substring(match.index + match[0].length);
+    var row = closestRow(words, letters, rows || []);
+    if (row) return { completions: row.completions, word: before + row.word + after };
+    for (var i = 0; i < words.length; i++) {
+        var answer = splitWord(words[i]);
+        var tiles = spellWith(answer.rime, letters);
+        if (!tiles) continue;
+        // Other words with the same onset and the same number of tiles are right too.
+        var completions = [];
+        for (var j = 0; j < words.length; j++) {
+            var other = splitWord(words[j]);
+            var otherTiles = spellWith(other.rime, letters);
+            if (other.onset != answer.onset || !otherTiles || otherTiles.length != tiles.length) continue;
+            if (completions.indexOf(other.rime) == -1) completions.push(other.rime);
+        }
+        return { completions: completions, word: before + answer.onset + blanks(tiles.length) + after };
+    }
+    return null;
+}
+// Fill in a row's blanks with the tiles of a completion.
+function fillPattern(pattern, tiles) {
+    var filled = '';
+    var t = 0;
+    for (var i = 0; i < pattern.length; i++) filled += pattern[i] == '_' ? tiles[t++] : pattern[i];
+    return filled;
+}
+// The row that makes the first of the words it can, with the fewest blanks, as { word,
+// completions } with just the completions that make one of the words. Returns null if no row
+// makes any of them.
+function closestRow(words, letters, rows) {
+    for (var w = 0; w < words.length; w++) {
+        var best = null;
+        for (var r = 0; r < rows.length; r++) {
+            var completions = [];
+            var makesWord = false;
+            for (var c = 0; c < rows[r].completions.length; c++) {
+                var completion = rows[r].completions[c];
+                var word = fillPattern(rows[r].word, segment(completion, letters));
+                if (words.indexOf(word) == -1) continue;
+                if (word == words[w]) makesWord = true;
+                completions.push(completion);
+            }
+            if (makesWord && (!best || blankCount(rows[r].word) < blankCount(best.word)))
+                best = { word: rows[r].word, completions: completions };
+        }
+        if (best) return best;
+    }
+    return null;
+}
+function blankCount(pattern) { return pattern.split('_').length - 1; }
+//
+// Return a copy of a board with its bottom section made from the bank. Options (which can
+// also come from the board's "sentences" property) are:
+//
+//  count: how many sentences to use (2 by default).
+//  tags: only use sentences with one of these tags.
+//  rotate: pick different sentences each time, instead of always the same ones.
+//  seed: what to pick the same sentences by when not rotating (e.g. the board's id).
+//
+SentenceBank.prototype.fill = function(board, options) {
+    options = options || board.sentences || {};
+    var count = options.count || 2;
+    var random = options.rotate ? Math.random : seededRandom(options.seed || String(board.title));
+    var candidates = [];
+    var seen = {};
+    for (var i = 0; i < this._sentences.length; i++) {
+        var sentence = this._sentences[i];
+        if (options.tags && !hasTag(sentence, options.tags)) continue;
+        var entry = this.cloze(sentence, board.letters, (board.left || []).concat(board.right || []));
+        if (!entry || seen.hasOwnProperty(entry.word)) continue;
+        seen[entry.word] = true;
+        candidates.push(entry);
+    }
+    // Shuffle and take the first few.
+    for (var i = candidates.length - 1; i > 0; i--) {
+        var j = Math.floor(random() * (i + 1));
+        var t = candidates[i];
+        candidates[i] = candidates[j];
+        candidates[j] = t;
+    }
+    var filled = {};
+    for (var k in board)
+        if (board.hasOwnProperty(k)) filled[k] = board[k];
+    filled.bottom = candidates.slice(0, count);
+    if (filled.bottom.length == 0) delete filled.bottom;
+    return filled;
+}
+// Make a filter for Launcher.addBoardFilter that fills in the sentences of each board that
+// has a "sentences" property and no bottom section of its own.
+SentenceBank.prototype.boardFilter = function() {
+    var self = this;
+    return function(desc, board) {
+        if (!board.sentences || board.bottom) return board;
+        var options = {};
+        for (var k in board.sentences)
+            if (board.sentences.hasOwnProperty(k)) options[k] = board.sentences[k];
+        if (!options.seed) options.seed = desc.id || desc.title;
+        return self.fill(board, options);
+    };
+}
+function hasTag(sentence, tags) {
+    for (var i = 0; i < tags.length; i++)
+        if (sentence.tags && sentence.tags.indexOf(tags[i]) != -1) return true;
+    return false;
+}
+
+SentenceBank.SENTENCES = SENTENCES;
+
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = SentenceBank;
+} else {
+    if (!window.TBoard) window.TBoard = {};
+    window.TBoard.SentenceBank = SentenceBank;
+}
+})();
@@ -0,0 +1,185 @@
+// Speaker: reads sentences and words out loud.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+// How long to stay quiet for a blank, when blanks are read as a pause.
+var PAUSE = 700;
+
+//
+// A backend does the actual talking. It has available(), speak(text, onEnd) and cancel(),
+// so that tests (or a platform without the Web Speech API) can supply their own.
+//
+function WebSpeechBackend() {
+    this._synth = window.speechSynthesis || null;
+}
+WebSpeechBackend.prototype.available = function() {
+    return !!(this._synth && window.SpeechSynthesisUtterance);
+}
+WebSpeechBackend.prototype.speak = function(text, onEnd) {
+    var utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = 0.8;
+    var done = false;
+    function finish() {
+        if (done) return;
+        done = true;
+        onEnd();
+    }
+    utterance.onend = finish;
+    utterance.onerror = finish;
+    this._synth.speak(utterance);
+}
+WebSpeechBackend.prototype.cancel = function() {
+    this._synth.cancel();
+}
+
+//
+// Speaker reads a list of words, one at a time, so that the word being said can be
+// highlighted without relying on boundary events (which most browsers don't send). A word
+// with blank: true is read as "blank", or as a pause if blanks is set to 'pause'.
+//
+function Speaker(backend, blanks) {
+    this._backend = backend || new WebSpeechBackend();
+    this._blanks = blanks || 'word';
+    this._reading = null;
+}
+Speaker.prototype.available = function() { return this._backend.available(); }
+Speaker.prototype.setBlanks = function(blanks) { this._blanks = blanks; }
+Speaker.prototype.cancel = function() {
+    if (!this._reading) return;
+    var reading = this._reading;
+    this._reading = null;
+    if (reading.timer) window.clearTimeout(reading.timer);
+    this._backend.cancel();
+    if (reading.onWord) reading.onWord(-1);
+}
+Speaker.prototype.say = function(text, onEnd) {
+    this.read([{ text: text }], null, onEnd);
+}
+// Read out each word in turn, calling onWord with the index of the word being said (and
+// -1 when done) and then onEnd. Starting to read cancels whatever was being read before.
+Speaker.prototype.read = function(words, onWord, onEnd) {
+    this.cancel();
+    if (!this.available()) {
+        if (onEnd) onEnd();
+        return;
+    }
+    var reading = { words: words, index: -1, onWord: onWord, onEnd: onEnd, timer: null };
+    this._reading = reading;
+    this._next(reading);
+}
+Speaker.prototype._next = function(reading) {
+    if (this._reading != reading) return;
+    reading.index++;
+    var self = this;
+    if (reading.index >= reading.words.length) {
+        this._reading = null;
+        if (reading.onWord) reading.onWord(-1);
+        if (reading.onEnd) reading.onEnd();
+        return;
+    }
+    var word = reading.words[reading.index];
+    if (reading.onWord) reading.onWord(reading.index);
+    if (word.blank && this._blanks == 'pause') {
+        reading.timer = window.setTimeout(function() { reading.timer = null; self._next(reading); }, PAUSE);
+        return;
+    }
+    this._backend.speak(word.blank ? 'blank' : word.text, function() { self._next(reading); });
+}
+
+//
+// ReadAloud puts a button on each sentence of a board that reads it out, and says each word
+// that a child spells (unless the board has a recording for it, which audio.js plays).
+// It stays quiet when the sounds are muted.
+//
+function ReadAloud(speaker, sounds) {
+    this._speaker = speaker || new Speaker();
+    this._sounds = sounds || null;
+}
+ReadAloud.prototype.speaker = function() { return this._speaker; }
+ReadAloud.prototype._muted = function() { return this._sounds && this._sounds.muted(); }
+// Make an observer for Launcher.addObserver.
+ReadAloud.prototype.observer = function(desc) {
+    if (!this._speaker.available()) return null;
+    return new BoardReader(this, desc.board);
+}
+
+function BoardReader(readAloud, definition) {
+    this._readAloud = readAloud;
+    this._clips = (definition.sounds && definition.sounds.words) || {};
+    this._attached = false;
+}
+BoardReader.prototype.attach = function(items) {
+    var self = this;
+    for (var i = 0; i < items.groups.length; i++) {
+        var group = items.groups[i];
+        if (group.section != 'bottom') continue;
+        var button = document.createElement('div');
+        button.className = 'read-button';
+        button.innerHTML = '&#x1f508;';
+        button.setAttribute('role', 'button');
+        button.setAttribute('aria-label', 'Read the sentence');
+        function addReader(button, group) {
+            function read(e) {
+                e.stopPropagation();
+                e.preventDefault();
+                self.readGroup(group);
+            }
+            button.addEventListener('touchend', read, false);
+            button.addEventListener('click', read, false);
+        }
+        addReader(button, group);
+        group.element.insertBefore(button, group.element.firstChild);
+    }
+    items.on('groupcomplete', function(group) { self._groupComplete(group); });
+    this._attached = true;
+}
+BoardReader.prototype.detach = function() {
+    this._attached = false;
+    this._readAloud.speaker().cancel();
+}
+// Read the sentence that a group is in, highlighting each word as it's said.
+BoardReader.prototype.readGroup = function(group) {
+    if (this._readAloud._muted()) return;
+    var elements = group.element.querySelectorAll('.word');
+    var words = [];
+    for (var i = 0; i < elements.length; i++) words.push(readWord(elements[i], group));
+    this._readAloud.speaker().read(words, function(index) {
+        for (var i = 0; i < elements.length; i++) {
+            if (i == index) elements[i].classList.add('speaking');
+            else elements[i].classList.remove('speaking');
+        }
+    });
+}
+// Work out what a word span says. If any of its homes are empty then it's a blank.
+function readWord(element, group) {
+    var homes = group.homes();
+    var text = '';
+    for (var i = 0; i < element.childNodes.length; i++) {
+        var child = element.childNodes[i];
+        if (!child.classList || !child.classList.contains('home')) {
+            text += child.textContent;
+            continue;
+        }
+        var letter = null;
+        for (var h = 0; h < homes.length; h++)
+            if (homes[h].element() == child) letter = homes[h].text();
+        if (!letter) return { text: text, blank: true };
+        text += letter;
+    }
+    return { text: text };
+}
+BoardReader.prototype._groupComplete = function(group) {
+    if (!this._attached || this._readAloud._muted()) return;
+    var word = group.word();
+    if (!word || this._clips.hasOwnProperty(word.toLowerCase())) return;
+    var speaker = this._readAloud.speaker();
+    // Wait for the match cue to finish before saying the word.
+    window.setTimeout(function() { speaker.say(word); }, TBoard.Sounds.WORD_DELAY);
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.WebSpeechBackend = WebSpeechBackend;
+window.TBoard.Speaker = Speaker;
+window.TBoard.ReadAloud = ReadAloud;
+})();
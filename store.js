@@ -0,0 +1,79 @@
+// Store: keeps JSON values in localStorage.
+// Copyright 2013 (C) Ralph Thomas
+
+(function() {
+
+//
+// All keys get a prefix so that we don't collide with anything else on the same origin.
+// localStorage can be missing or throw (Safari's private browsing throws on every write),
+// in which case we fall back to keeping things in memory for as long as the page is open.
+// The memory is kept by full key and shared with scoped stores, like localStorage would be.
+//
+function Store(prefix) {
+    this._prefix = prefix || 'tboard.';
+    this._memory = {};
+    try {
+        this._storage = window.localStorage;
+        var probe = this._prefix + '__probe';
+        this._storage.setItem(probe, '1');
+        this._storage.removeItem(probe);
+    } catch (e) {
+        this._storage = null;
+    }
+}
+Store.prototype.get = function(key, fallback) {
+    var text = null;
+    if (this._storage) text = this._storage.getItem(this._prefix + key);
+    if ((text === null || text === undefined) && this._memory.hasOwnProperty(this._prefix + key))
+        text = this._memory[this._prefix + key];
+    if (text === null || text === undefined) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return fallback;
+    }
+}
+Store.prototype.set = function(key, value) {
+    var text = JSON.stringify(value);
+    if (this._storage) {
+        try {
+            this._storage.setItem(this._prefix + key, text);
+            return;
+        } catch (e) {
+            // Out of space; keep it in memory instead.
+        }
+    }
+    this._memory[this._prefix + key] = text;
+}
+Store.prototype.remove = function(key) {
+    if (this._storage) this._storage.removeItem(this._prefix + key);
+    delete this._memory[this._prefix + key];
+}
+// A store for keys that start with the given prefix, as if it were a store of its own.
+Store.prototype.scope = function(prefix) {
+    var store = new Store(this._prefix + prefix);
+    store._memory = this._memory;
+    return store;
+}
+// All of the keys (without our prefix) that start with the given string.
+Store.prototype.keys = function(start) {
+    start = start || '';
+    var keys = [];
+    var full = this._prefix + start;
+    if (this._storage) {
+        for (var i = 0; i < this._storage.length; i++) {
+            var k = this._storage.key(i);
+            if (k.indexOf(full) == 0) keys.push(k.substring(this._prefix.length));
+        }
+    }
+    for (var k in this._memory) {
+        if (!this._memory.hasOwnProperty(k) || k.indexOf(full) != 0) continue;
+        k = k.substring(this._prefix.length);
+        if (keys.indexOf(k) == -1) keys.push(k);
+    }
+    return keys;
+}
+
+if (!window.TBoard) window.TBoard = {};
+window.TBoard.Store = Store;
+})();
@@ -0,0 +1,388 @@
+// Validator: checks board definitions and board packs for mistakes.
+// Copyright 2013 (C) Ralph Thomas
+//
+// This file has no dependencies so that it can be used from the browser (as TBoard.Validator)
+// and from node (require('./validate.js')). It also has the helpers that the generator and
+// the sentence bank share, since they run under node too. Run it directly to check pack files:
+//
+//   node validate.js boards/short-a.json
+//
+
+(function() {
+
+var FORMAT = 'tboard-pack';
+var VERSION = 1;
+var SECTIONS = ['left', 'right', 'bottom'];
+
+function isArray(a) { return Object.prototype.toString.call(a) == '[object Array]'; }
+function plural(n, word) { return n + ' ' + word + (n == 1 ? '' : 's'); }
+function spell(completion) { return isArray(completion) ? completion.join('') : completion; }
+function blanks(n) { return new Array(n + 1).join('_'); }
+// Whether a tile (or a letter) starts with a vowel, so "ai" is one and "sh" isn't.
+function isVowel(tile) { return 'aeiou'.indexOf(tile.charAt(0).toLowerCase()) != -1; }
+
+function countBlanks(word) {
+    var n = 0;
+    for (var i = 0; i < word.length; i++)
+        if (word[i] == '_') n++;
+    return n;
+}
+
+// Split a completion written as a string into the graphemes that a board's tiles carry,
+// taking the longest tile that fits at each point, so "chat" with a "ch" tile becomes
+// ['ch', 'a', 't']. Completions that are already lists are left alone, which is how to
+// spell something the other way (['c', 'h', 'a', 't']). Builder splits completions with
+// this too, so boards are checked the way they'll be built.
+function segment(completion, letters) {
+    if (typeof completion != 'string') return completion;
+    var result = [];
+    var i = 0;
+    while (i < completion.length) {
+        var best = completion[i];
+        for (var g = 0; g < letters.length; g++) {
+            var tile = letters[g];
+            if (tile.length > best.length && completion.substr(i, tile.length) == tile) best = tile;
+        }
+        result.push(best);
+        i += best.length;
+    }
+    return result;
+}
+
+// Split a word into the given tiles like segment, or return null if it can't be made from them.
+function spellWith(word, letters) {
+    var tiles = segment(word, letters);
+    for (var i = 0; i < tiles.length; i++)
+        if (letters.indexOf(tiles[i]) == -1) return null;
+    return tiles;
+}
+
+function join(path, name) {
+    if (typeof name == 'number') return path + '[' + name + ']';
+    return path ? path + '.' + name : name;
+}
+
+//
+// A Report collects errors (things that make a board not work) and warnings (things that
+// are probably mistakes, but that a board can still be played with). Each problem has the
+// path of the offending entry, e.g. "boards[0].left[1].completions[2]".
+//
+function Report() {
+    this.errors = [];
+    this.warnings = [];
+}
+Report.prototype.error = function(path, message) { this.errors.push({ path: path, message: message }); }
+Report.prototype.warn = function(path, message) { this.warnings.push({ path: path, message: message }); }
+Report.prototype.ok = function() { return this.errors.length == 0; }
+Report.prototype.messages = function(problems) {
+    var messages = [];
+    for (var i = 0; i < problems.length; i++)
+        messages.push((problems[i].path ? problems[i].path + ': ' : '') + problems[i].message);
+    return messages;
+}
+Report.prototype.errorMessages = function() { return this.messages(this.errors); }
+Report.prototype.warningMessages = function() { return this.messages(this.warnings); }
+
+// How many of a tile an inventory allows (see inventoryCount in letter.js), or null for no limit.
+function inventoryCount(inventory, tile) {
+    if (typeof inventory == 'number') return inventory;
+    if (inventory && typeof inventory == 'object' && inventory.hasOwnProperty(tile)) return inventory[tile];
+    return null;
+}
+
+// A completion that needs more of a tile than the board's inventory has can never be spelled.
+function checkReachable(tiles, completion, path, inventory, report) {
+    var needed = {};
+    for (var i = 0; i < tiles.length; i++) needed[tiles[i]] = (needed[tiles[i]] || 0) + 1;
+    for (var tile in needed) {
+        var count = inventoryCount(inventory, tile);
+        if (typeof count == 'number' && needed[tile] > count)
+            report.warn(path, '"' + spell(completion) + '" can never be spelled: it needs ' + plural(needed[tile], '"' + tile + '"') +
+                ' but the inventory only has ' + count + '.');
+    }
+}
+
+function checkEntry(entry, path, letters, inventory, usedLetters, report) {
+    if (!entry || typeof entry != 'object') {
+        report.error(path, 'should be an object with "word" and "completions".');
+        return;
+    }
+    if (typeof entry.word != 'string') {
+        report.error(join(path, 'word'), 'should be a string with "_" for each blank.');
+        return;
+    }
+    var blanks = countBlanks(entry.word);
+    if (blanks == 0) report.error(join(path, 'word'), '"' + entry.word + '" has no "_" blanks to fill in.');
+
+    var completionsPath = join(path, 'completions');
+    if (!isArray(entry.completions) || entry.completions.length == 0) {
+        report.error(completionsPath, 'should be a non-empty list.');
+        return;
+    }
+    var seen = {};
+    for (var c = 0; c < entry.completions.length; c++) {
+        var completion = entry.completions[c];
+        var cpath = join(completionsPath, c);
+        if (typeof completion != 'string' && !isArray(completion)) {
+            report.error(cpath, 'should be a string or a list of letters.');
+            continue;
+        }
+        // Group matches one tile per home, so the lengths have to agree exactly.
+        var tiles = segment(completion, letters);
+        if (tiles.length != blanks) {
+            var unit = typeof letters == 'string' ? 'letter' : 'tile';
+            report.error(cpath, '"' + spell(completion) + '" has ' + plural(tiles.length, unit) + ' but "' +
+                entry.word + '" has ' + plural(blanks, 'blank') + '.');
+        }
+        for (var l = 0; l < tiles.length; l++) {
+            if (typeof tiles[l] != 'string' || letters.indexOf(tiles[l]) == -1)
+                report.error(cpath, '"' + spell(completion) + '" uses "' + tiles[l] + '" which isn\'t one of the board\'s letters.');
+            else
+                usedLetters[tiles[l]] = true;
+        }
+        if (inventory != null) checkReachable(tiles, completion, cpath, inventory, report);
+        // CompletionSet treats equal completions as one, so a repeat can never be matched.
+        var key = spell(completion);
+        if (seen.hasOwnProperty(key))
+            report.warn(cpath, '"' + key + '" is listed twice (see completions[' + seen[key] + ']); the repeat can never be matched.');
+        else
+            seen[key] = c;
+    }
+    if (entry.hasOwnProperty('limit')) {
+        var limitPath = join(path, 'limit');
+        if (typeof entry.limit != 'number' || entry.limit < 1 || Math.floor(entry.limit) != entry.limit)
+            report.error(limitPath, 'should be a whole number greater than zero.');
+        else if (entry.limit > entry.completions.length)
+            report.warn(limitPath, plural(entry.limit, 'row') + ' but only ' + plural(entry.completions.length, 'completion') +
+                ', so ' + plural(entry.limit - entry.completions.length, 'row') + ' can never be completed.');
+    }
+}
+
+// Sounds look like { letters: { a: 'a.mp3' }, words: { cat: 'cat.mp3' } }.
+function checkSounds(sounds, path, report) {
+    if (!sounds || typeof sounds != 'object' || isArray(sounds)) {
+        report.error(path, 'should be an object with "letters" and/or "words".');
+        return;
+    }
+    for (var kind in sounds) {
+        if (!sounds.hasOwnProperty(kind)) continue;
+        var kindPath = join(path, kind);
+        if (kind != 'letters' && kind != 'words') {
+            report.warn(kindPath, 'isn\'t used; sounds can only have "letters" and "words".');
+            continue;
+        }
+        var clips = sounds[kind];
+        if (!clips || typeof clips != 'object' || isArray(clips)) {
+            report.error(kindPath, 'should be an object mapping text to the URL of a recording.');
+            continue;
+        }
+        for (var k in clips) {
+            if (clips.hasOwnProperty(k) && (typeof clips[k] != 'string' || clips[k] == ''))
+                report.error(join(kindPath, k), 'should be the URL of a recording.');
+        }
+    }
+}
+
+// A challenge is true, or { time: 90 } to say how many seconds it lasts; see challenge.js.
+function checkChallenge(challenge, path, report) {
+    if (challenge === true || challenge === false) return;
+    if (!challenge || typeof challenge != 'object' || isArray(challenge)) {
+        report.error(path, 'should be true, or an object like { "time": 90 }.');
+        return;
+    }
+    if (challenge.hasOwnProperty('time') &&
+        (typeof challenge.time != 'number' || challenge.time < 1 || Math.floor(challenge.time) != challenge.time))
+        report.error(join(path, 'time'), 'should be a whole number of seconds greater than zero.');
+}
+
+// An inventory is how many of each letter there are: a count for all of them, or one for
+// each letter like { a: 2, t: 1 }; letters that aren't listed have no limit.
+function checkInventory(inventory, letters, path, report) {
+    function isCount(n) { return typeof n == 'number' && n >= 1 && Math.floor(n) == n; }
+    if (typeof inventory == 'number') {
+        if (!isCount(inventory)) report.error(path, 'should be a whole number greater than zero.');
+        return;
+    }
+    if (!inventory || typeof inventory != 'object' || isArray(inventory)) {
+        report.error(path, 'should be a number, or an object like { "a": 2, "t": 1 }.');
+        return;
+    }
+    // A string of letters has one letter per tile.
+    var tiles = typeof letters == 'string' ? letters.split('') : letters;
+    for (var k in inventory) {
+        if (!inventory.hasOwnProperty(k)) continue;
+        if (tiles.indexOf(k) == -1) report.warn(join(path, k), 'isn\'t used because "' + k + '" isn\'t one of the board\'s letters.');
+        else if (!isCount(inventory[k])) report.error(join(path, k), 'should be a whole number greater than zero.');
+    }
+}
+
+// Sentences look like { count: 2, tags: ['animals'], rotate: true }; see sentences.js.
+function checkSentences(sentences, board, path, report) {
+    if (!sentences || typeof sentences != 'object' || isArray(sentences)) {
+        report.error(path, 'should be an object with "count", "tags" and/or "rotate".');
+        return;
+    }
+    if (sentences.hasOwnProperty('count') &&
+        (typeof sentences.count != 'number' || sentences.count < 1 || Math.floor(sentences.count) != sentences.count))
+        report.error(join(path, 'count'), 'should be a whole number greater than zero.');
+    if (sentences.hasOwnProperty('tags')) {
+        var ok = isArray(sentences.tags);
+        for (var i = 0; ok && i < sentences.tags.length; i++)
+            if (typeof sentences.tags[i] != 'string') ok = false;
+        if (!ok) report.error(join(path, 'tags'), 'should be a list of strings.');
+    }
+    if (sentences.hasOwnProperty('rotate') && typeof sentences.rotate != 'boolean')
+        report.error(join(path, 'rotate'), 'should be true or false.');
+    if (board.hasOwnProperty('bottom'))
+        report.warn(path, 'isn\'t used because the board has its own "bottom" sentences.');
+}
+
+//
+// Check a board definition, as passed to Builder: { letters, left, right, bottom, sounds }.
+// A board can have "sentences" instead of "bottom", to get them from the sentence bank, a
+// "challenge" to make it a timed game, an "inventory" to only have so many of each letter and
+// "dictation" to have its words said and spelled one at a time.
+//
+function checkBoard(board, path, report) {
+    if (!board || typeof board != 'object') {
+        report.error(path, 'should be an object.');
+        return;
+    }
+    var lettersPath = join(path, 'letters');
+    if ((typeof board.letters != 'string' && !isArray(board.letters)) || board.letters.length == 0) {
+        report.error(lettersPath, 'should be a non-empty string of letters, or a list of tiles like ["ch", "a", "t"].');
+        return;
+    }
+    var letters = board.letters;
+    if (isArray(letters)) {
+        for (var i = 0; i < letters.length; i++) {
+            if (typeof letters[i] != 'string' || letters[i] == '') {
+                report.error(join(lettersPath, i), 'should be a non-empty string.');
+                return;
+            }
+        }
+    }
+    for (var i = 0; i < letters.length; i++) {
+        if (letters.indexOf(letters[i]) != i)
+            report.warn(lettersPath, '"' + letters[i] + '" is listed more than once, so it gets more than one respawner.');
+    }
+    var usedLetters = {};
+    var hasSection = false;
+    for (var s = 0; s < SECTIONS.length; s++) {
+        var name = SECTIONS[s];
+        if (!board.hasOwnProperty(name)) continue;
+        hasSection = true;
+        var section = board[name];
+        if (!isArray(section)) {
+            report.error(join(path, name), 'should be a list.');
+            continue;
+        }
+        for (var e = 0; e < section.length; e++)
+            checkEntry(section[e], join(join(path, name), e), letters, board.inventory, usedLetters, report);
+    }
+    if (board.hasOwnProperty('sounds')) checkSounds(board.sounds, join(path, 'sounds'), report);
+    if (board.hasOwnProperty('challenge')) checkChallenge(board.challenge, join(path, 'challenge'), report);
+    if (board.hasOwnProperty('dictation') && typeof board.dictation != 'boolean')
+        report.error(join(path, 'dictation'), 'should be true or false.');
+    if (board.hasOwnProperty('inventory')) checkInventory(board.inventory, letters, join(path, 'inventory'), report);
+    if (board.hasOwnProperty('sentences')) {
+        hasSection = true;
+        checkSentences(board.sentences, board, join(path, 'sentences'), report);
+    }
+    if (!hasSection) {
+        report.error(path, 'needs at least one of "left", "right", "bottom" or "sentences".');
+        return;
+    }
+    for (var i = 0; i < letters.length; i++) {
+        if (!usedLetters.hasOwnProperty(letters[i]) && letters.indexOf(letters[i]) == i)
+            report.warn(lettersPath, '"' + letters[i] + '" isn\'t used by any completion.');
+    }
+}
+
+// Validate a single board definition. Returns a Report.
+function validateBoard(board) {
+    var report = new Report();
+    checkBoard(board, '', report);
+    return report;
+}
+
+// Validate a whole board pack (see pack.js for the format). Returns a Report.
+function validatePack(pack) {
+    var report = new Report();
+    if (!pack || typeof pack != 'object') {
+        report.error('', 'The board pack should be a JSON object.');
+        return report;
+    }
+    if (pack.format != FORMAT) report.error('format', 'should be "' + FORMAT + '".');
+    if (typeof pack.version != 'number') report.error('version', 'should be a number.');
+    else if (pack.version > VERSION) report.error('version', pack.version + ' is newer than this app understands (' + VERSION + ').');
+    if (typeof pack.title != 'string') report.error('title', 'should be a string.');
+    if (pack.hasOwnProperty('sounds')) checkSounds(pack.sounds, 'sounds', report);
+    if (!isArray(pack.boards) || pack.boards.length == 0) {
+        report.error('boards', 'should be a non-empty list.');
+        return report;
+    }
+    var ids = {};
+    for (var i = 0; i < pack.boards.length; i++) {
+        var board = pack.boards[i];
+        var path = join('boards', i);
+        checkBoard(board, path, report);
+        if (!board || typeof board != 'object') continue;
+        if (typeof board.title != 'string' || board.title == '')
+            report.error(join(path, 'title'), 'should be a non-empty string.');
+        if (board.hasOwnProperty('id') && (typeof board.id != 'string' || board.id == ''))
+            report.error(join(path, 'id'), 'should be a non-empty string.');
+        var boardId = board.id || board.title;
+        if (ids.hasOwnProperty(boardId)) report.error(path, 'id "' + boardId + '" is already used by boards[' + ids[boardId] + '].');
+        else ids[boardId] = i;
+    }
+    return report;
+}
+
+var Validator = {
+    FORMAT: FORMAT,
+    VERSION: VERSION,
+    SECTIONS: SECTIONS,
+    Report: Report,
+    validateBoard: validateBoard,
+    validatePack: validatePack,
+    isArray: isArray,
+    plural: plural,
+    blanks: blanks,
+    isVowel: isVowel,
+    segment: segment,
+    spellWith: spellWith
+};
+
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = Validator;
+    if (require.main === module) {
+        var fs = require('fs');
+        var files = process.argv.slice(2);
+        var failed = false;
+        if (files.length == 0) {
+            console.error('usage: node validate.js pack.json [pack.json ...]');
+            process.exit(2);
+        }
+        for (var f = 0; f < files.length; f++) {
+            var report;
+            try {
+                report = validatePack(JSON.parse(fs.readFileSync(files[f], 'utf8')));
+            } catch (e) {
+                console.error(files[f] + ': ' + e.message);
+                failed = true;
+                continue;
+            }
+            var errors = report.errorMessages();
+            var warnings = report.warningMessages();
+            for (var i = 0; i < errors.length; i++) console.error(files[f] + ': error: ' + errors[i]);
+            for (var i = 0; i < warnings.length; i++) console.error(files[f] + ': warning: ' + warnings[i]);
+            if (errors.length) failed = true;
+        }
+        process.exit(failed ? 1 : 0);
+    }
+} else {
+    if (!window.TBoard) window.TBoard = {};
+    window.TBoard.Validator = Validator;
+}
+})();